@@ -0,0 +1,12 @@
+/************************************************
+ * netlify/benchmarks/index.js
+ *
+ * Saved intake files used to evaluate candidate models before promotion.
+ * Each file holds a formContext ("context") and a fixed weather snapshot
+ * ("weatherData") so every model sees the same inputs.
+ * Required (not read from disk) so the files are bundled with the function.
+ ************************************************/
+module.exports = [
+  require('./residential-hail-shingles.json'),
+  require('./commercial-wind-metal.json')
+];
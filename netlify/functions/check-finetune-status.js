@@ -3,6 +3,8 @@
  ************************************************/
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { pollFineTuneStatus } = require('../lib/finetune');
 
 const supabaseUrl = process.env.SUPABASE_URL;
 const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
@@ -15,10 +17,14 @@ if (!supabaseUrl || !supabaseServiceKey || !openAiKey) {
 const supabase = createClient(supabaseUrl, supabaseServiceKey);
 const openai = new OpenAI({ apiKey: openAiKey });
 
+/**
+ * On-demand status check for the running fine-tune job.
+ * finetune-poller.js does the same every 15 minutes.
+ */
 exports.handler = async function(event) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
   };
 
@@ -30,118 +36,22 @@ exports.handler = async function(event) {
     };
   }
 
-  try {
-    // Use maybeSingle() so missing row won't cause an error
-    const { data: jobRow, error: jobRowError } = await supabase
-      .from('app_settings')
-      .select('value')
-      .eq('key', 'current_finetune_job_id')
-      .maybeSingle();
-
-    // If there's a real DB error (like connection issues)
-    if (jobRowError) {
-      console.error('Error fetching current_finetune_job_id:', jobRowError);
-      return {
-        statusCode: 500,
-        headers,
-        body: JSON.stringify({
-          error: 'Cannot fetch current fine-tune job ID',
-          details: jobRowError.message
-        })
-      };
-    }
-
-    // If no row was found, jobRow == null
-    if (!jobRow) {
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          message: 'No fine-tune job currently in progress.'
-        })
-      };
-    }
-
-    // jobRow was found, so let's retrieve job status from OpenAI
-    const jobId = jobRow.value;
-    const jobInfo = await openai.fineTuning.jobs.retrieve(jobId);
-    console.log('Retrieved job info:', jobInfo);
-    const jobStatus = jobInfo.status;
-
-    if (jobStatus === 'succeeded') {
-      // We have a new model name
-      const newModelName = jobInfo.fine_tuned_model;
-      console.log('Fine-tune job succeeded. New model is:', newModelName);
-
-      // Update active_finetuned_model in Supabase
-      if (newModelName) {
-        const { error: updateModelError } = await supabase
-          .from('app_settings')
-          .upsert({
-            key: 'active_finetuned_model',
-            value: newModelName
-          }, { onConflict: 'key' });
-
-        if (updateModelError) {
-          console.error('Error updating active_finetuned_model:', updateModelError);
-        }
-      }
-
-      // Clear the job ID or set finetune_in_progress = false
-      await supabase
-        .from('app_settings')
-        .delete()
-        .eq('key', 'current_finetune_job_id');
-
-      await supabase
-        .from('app_settings')
-        .upsert({
-          key: 'finetune_in_progress',
-          value: 'false'
-        }, { onConflict: 'key' });
-
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          message: `Fine-tune succeeded. Model = ${newModelName}`,
-          status: jobStatus
-        })
-      };
-    } else if (jobStatus === 'failed') {
-      console.error('Fine-tune job failed:', jobInfo);
-
-      await supabase
-        .from('app_settings')
-        .delete()
-        .eq('key', 'current_finetune_job_id');
-
-      await supabase
-        .from('app_settings')
-        .upsert({
-          key: 'finetune_in_progress',
-          value: 'false'
-        }, { onConflict: 'key' });
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
 
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          message: 'Fine-tune job failed. ID cleared.',
-          status: jobStatus
-        })
-      };
-    } else {
-      // still running or queued
-      return {
-        statusCode: 200,
-        headers,
-        body: JSON.stringify({
-          message: `Job status = ${jobStatus}. Still in progress.`,
-          status: jobStatus
-        })
-      };
-    }
+  try {
+    const result = await pollFineTuneStatus(supabase, openai);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify(result)
+    };
   } catch (error) {
     console.error('Error checking fine-tune status:', error);
     return {
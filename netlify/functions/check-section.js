@@ -0,0 +1,86 @@
+/************************************************
+ * netlify/functions/check-section.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { checkFacts } = require('../lib/fact-check');
+const { listLintRules, lintSection, correctionInstructions } = require('../lib/lint-rules');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for check-section.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Check a section's text against the form inputs and the lint rules,
+ * e.g. after the engineer edited it. generate-report runs the same
+ * checks on its output.
+ *
+ * Body: { "sectionId": "observations", "text": "section markdown",
+ *         "context": { form context }, "weatherData": { report weather } }
+ * Returns { violations: [{ check, start, end, text, message }],
+ *           lintFindings: [{ ruleId, rule, severity, start, end, text, message, correction }],
+ *           corrections: regeneration instructions for both, '' when there are none }
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const { sectionId, text, context, weatherData } = JSON.parse(event.body || '{}');
+
+    if (typeof text !== 'string') {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing section text.' })
+      };
+    }
+
+    const lintRules = await listLintRules(supabase, { enabledOnly: true });
+    const violations = checkFacts(text, context || {}, weatherData);
+    const lintFindings = lintSection(sectionId, text, lintRules);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        violations,
+        lintFindings,
+        corrections: correctionInstructions(lintFindings, violations)
+      })
+    };
+  } catch (error) {
+    console.error('Error in check-section function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to check section',
+        details: error.message
+      })
+    };
+  }
+};
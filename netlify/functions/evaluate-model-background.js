@@ -0,0 +1,76 @@
+/************************************************
+ * netlify/functions/evaluate-model-background.js
+ ************************************************/
+const OpenAI = require('openai');
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { DEFAULT_MODEL, getActiveModel, updateJob, promoteModel } = require('../lib/model-registry');
+const { compareModels } = require('../lib/evaluation');
+const { requeueUnlearnedRows } = require('../lib/finetune');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const openAiKey = process.env.OPENAI_API_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey || !openAiKey) {
+  console.error('Missing one of SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, or OPENAI_API_KEY.');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const openai = new OpenAI({ apiKey: openAiKey });
+
+/**
+ * Background function (Netlify returns 202 immediately, we have up to 15 minutes).
+ * Body: { jobId, candidate }
+ * 1) Runs the candidate and the current model against the benchmark intake files.
+ * 2) Saves the comparison report on the finetune_jobs row.
+ * 3) Promotes the candidate if it passed, otherwise marks it "rejected"
+ *    and queues its training rows again.
+ */
+exports.handler = async function(event) {
+  const auth = await authenticate(event, ['admin']);
+  if (auth.error) {
+    console.error('evaluate-model-background rejected:', auth.error.message);
+    return { statusCode: auth.error.statusCode };
+  }
+
+  const { jobId, candidate } = JSON.parse(event.body || '{}');
+  if (!jobId || !candidate) {
+    console.error('evaluate-model-background called without jobId or candidate.');
+    return { statusCode: 400 };
+  }
+
+  try {
+    const baseline = (await getActiveModel(supabase)) || DEFAULT_MODEL;
+    console.log(`Evaluating candidate ${candidate} against ${baseline} for job ${jobId}`);
+
+    await updateJob(supabase, jobId, { evaluation_status: 'running' });
+
+    const report = await compareModels(openai, { candidate, baseline });
+    console.log(`Evaluation finished: candidate ${report.candidate.averageScore}, baseline ${report.baseline.averageScore}, passed=${report.passed}`);
+
+    await updateJob(supabase, jobId, {
+      evaluation: report,
+      evaluation_status: report.passed ? 'passed' : 'failed'
+    });
+
+    if (report.passed) {
+      await promoteModel(supabase, candidate);
+    } else {
+      await supabase
+        .from('models')
+        .update({ status: 'rejected' })
+        .eq('id', candidate);
+      // The next job starts from the active model, which never learned these rows
+      await requeueUnlearnedRows(supabase);
+    }
+  } catch (error) {
+    console.error('Error evaluating model:', error);
+    await updateJob(supabase, jobId, {
+      evaluation_status: 'error',
+      error: `Evaluation failed: ${error.message}`
+    });
+  }
+
+  return { statusCode: 200 };
+};
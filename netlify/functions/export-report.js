@@ -0,0 +1,168 @@
+/************************************************
+ * netlify/functions/export-report.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { getSignatureImages } = require('../lib/profile');
+const { canAccessPhotos, downloadPhotos } = require('../lib/photos');
+const { buildDocx } = require('../lib/export/docx');
+const { buildPdf } = require('../lib/export/pdf');
+const { storeExport } = require('../lib/export/store');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for export-report.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Document exporters by format. Each takes { sections, context, profile,
+ * photos } and resolves to a Buffer. `usesProfile` loads the engineer's
+ * signature and seal images.
+ */
+const FORMATS = {
+  docx: {
+    build: buildDocx,
+    contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document'
+  },
+  pdf: {
+    build: buildPdf,
+    contentType: 'application/pdf',
+    usesProfile: true
+  }
+};
+
+function exportFileName(context, format) {
+  const slug = String(context?.projectName || 'report')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, 60);
+  return `${slug || 'report'}.${format}`;
+}
+
+/**
+ * POST { format, sections: [{ id, title, content }], context, reportId }
+ * Sections come in final report order (as compiled in the browser).
+ * A "photoAppendix" section is rendered with the report's photos; only the
+ * report's owner or an admin may export them (403 otherwise).
+ * Returns { url, fileName }: the file is stored (see lib/export/store.js)
+ * because reports with photos exceed the function response limit.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  // Handle preflight
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  if (event.httpMethod !== 'POST') {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: 'Method not allowed' })
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const { format = 'docx', sections, context = {}, reportId } = JSON.parse(event.body || '{}');
+
+    const exporter = FORMATS[format];
+    if (!exporter) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Unsupported export format: ${format}` })
+      };
+    }
+
+    const reportSections = (Array.isArray(sections) ? sections : [])
+      .filter((s) => s && s.id && typeof s.content === 'string' && s.content.trim());
+    if (reportSections.length === 0) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'No generated sections to export' })
+      };
+    }
+
+    // A missing signature should not stop the report from being exported
+    let profile = {};
+    if (exporter.usesProfile) {
+      try {
+        profile = await getSignatureImages(supabase, auth.user.id);
+      } catch (profileErr) {
+        console.error('Exporting without signature images:', profileErr.message);
+      }
+    }
+
+    // Without the files the appendix still lists the figure captions
+    let photos = [];
+    if (reportId && reportSections.some((s) => s.id === 'photoAppendix')) {
+      if (!(await canAccessPhotos(supabase, reportId, auth.user))) {
+        return {
+          statusCode: 403,
+          headers,
+          body: JSON.stringify({ error: 'Only the engineer who created a report can export its photos.' })
+        };
+      }
+      try {
+        photos = await downloadPhotos(supabase, reportId);
+      } catch (photoErr) {
+        console.error('Exporting without photos:', photoErr.message);
+      }
+    }
+
+    const buffer = await exporter.build({
+      sections: reportSections.map((s) => ({ id: s.id, title: String(s.title || s.id), content: s.content })),
+      context,
+      profile,
+      photos
+    });
+
+    const fileName = exportFileName(context, format);
+    const url = await storeExport(supabase, {
+      userId: auth.user.id,
+      fileName,
+      contentType: exporter.contentType,
+      buffer
+    });
+
+    console.log(`${auth.user.username} exported a ${format} report (${reportSections.length} sections)`);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ url, fileName })
+    };
+  } catch (error) {
+    console.error('Error exporting report:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to export report',
+        details: error.message
+      })
+    };
+  }
+};
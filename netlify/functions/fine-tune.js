@@ -3,8 +3,14 @@
  ************************************************/
 const OpenAI = require('openai');
 const { createClient } = require('@supabase/supabase-js');
-const { v4: uuidv4 } = require('uuid');
-const fs = require('fs');
+const { authenticate } = require('../lib/auth');
+const { getSetting } = require('../lib/model-registry');
+const {
+  getTriggerConfig,
+  setTriggerConfig,
+  countPendingRows,
+  startFineTune
+} = require('../lib/finetune');
 
 /**
  * We'll read our Supabase URL and Service Role Key from environment variables,
@@ -26,19 +32,17 @@ const openai = new OpenAI({
 });
 
 /**
- * This function:
- * 1) Fetches all rows from `training_data`.
- * 2) Converts them into .jsonl lines in chat fine-tuning format.
- * 3) Uploads the file to OpenAI.
- * 4) Creates the GPT-4 fine-tuning job (no waiting).
- * 5) Stores the jobId in `app_settings` as `current_finetune_job_id`.
- * 6) Returns quickly.
+ * Admin-only fine-tune control (job creation itself lives in lib/finetune.js):
+ * - GET  -> { trigger, pendingRows, currentJobId }
+ * - PUT  { mode, rows?, hours? } -> change when jobs start automatically
+ * - POST { trigger? } -> start a job now from the pending training_data rows.
+ *   Returns 409 if a job is running or being started.
  */
 exports.handler = async function(event) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
-    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PUT, OPTIONS'
   };
 
   // Handle preflight
@@ -50,122 +54,59 @@ exports.handler = async function(event) {
     };
   }
 
-  try {
-    // Step 1: Fetch all training_data rows
-    const { data: rows, error: fetchError } = await supabase
-      .from('training_data')
-      .select('report_json')
-      .order('created_at', { ascending: true });
+  // Fine-tune control is restricted to admins
+  const auth = await authenticate(event, ['admin']);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
 
-    if (fetchError) {
-      console.error('Error fetching training_data rows:', fetchError);
-      throw new Error('Could not retrieve training data from Supabase.');
+  try {
+    if (event.httpMethod === 'GET') {
+      const [trigger, pendingRows, currentJobId] = await Promise.all([
+        getTriggerConfig(supabase),
+        countPendingRows(supabase),
+        getSetting(supabase, 'current_finetune_job_id')
+      ]);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ trigger, pendingRows, currentJobId })
+      };
     }
 
-    if (!rows || rows.length === 0) {
+    if (event.httpMethod === 'PUT') {
+      let trigger;
+      try {
+        trigger = await setTriggerConfig(supabase, JSON.parse(event.body || '{}'));
+      } catch (validationErr) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationErr.message })
+        };
+      }
+      console.log(`${auth.user.username} set the fine-tune trigger to`, trigger);
       return {
         statusCode: 200,
         headers,
-        body: JSON.stringify({ message: 'No training data found. Nothing to fine-tune.' })
+        body: JSON.stringify({ message: 'Fine-tune trigger saved.', trigger })
       };
     }
 
-    // Build .jsonl lines in GPT-4 chat format
-    const lines = rows.map((r) => {
-      const finalText = r.report_json?.text || '';
-      return JSON.stringify({
-        messages: [
-          {
-            role: 'system',
-            content: 'You are a specialized forensic report generator. Provide thorough, professional, consistent content.'
-          },
-          {
-            role: 'user',
-            content: 'Generate a complete forensic engineering report based on the user’s inputs and data.'
-          },
-          {
-            role: 'assistant',
-            content: finalText
-          }
-        ]
-      });
+    const { trigger } = JSON.parse(event.body || '{}');
+    const result = await startFineTune(supabase, openai, {
+      trigger: trigger || 'manual',
+      createdBy: auth.user.username
     });
-    const jsonlContent = lines.join('\n');
-
-    // Write to a temporary file in /tmp
-    const tempFileName = `/tmp/fine-tune-${uuidv4()}.jsonl`;
-    fs.writeFileSync(tempFileName, jsonlContent, 'utf-8');
 
-    // Upload the file to OpenAI
-    const fileUpload = await openai.files.create({
-      file: fs.createReadStream(tempFileName),
-      purpose: 'fine-tune'
-    });
-    const openAIFileId = fileUpload.id;
-    console.log('Uploaded file to OpenAI with ID:', openAIFileId);
-
-    // Create the fine-tuning job for GPT-4
-    // 1) Retrieve the current active_finetuned_model from Supabase
-    const { data: modelRow, error: modelError } = await supabase
-      .from('app_settings')
-      .select('value')
-      .eq('key', 'active_finetuned_model')
-      .maybeSingle();
-    
-    if (modelError) {
-      console.error('Error fetching active_finetuned_model:', modelError);
-      throw new Error('Cannot fetch current active model from Supabase.');
-    }
-    
-    // If there's no row or the row is empty, default to "gpt-4o-2024-08-06"
-    let modelToFineTune = modelRow?.value || 'gpt-4o-2024-08-06';
-    
-    // 2) Create the fine-tuning job from that model
-    const fineTune = await openai.fineTuning.jobs.create({
-      model: modelToFineTune,
-      training_file: openAIFileId
-    });
-    console.log(`Fine-tune job created, starting from model: ${modelToFineTune}`, fineTune);
-
-    // We have an ID for the job:
-    const fineTuneId = fineTune.id;
-
-    // Step 2: Store it in Supabase's app_settings so we can check status later
-    // We'll keep a separate key for job ID so we don't overwrite the active_finetuned_model.
-    const { error: upsertError } = await supabase
-      .from('app_settings')
-      .upsert({
-        key: 'current_finetune_job_id',
-        value: fineTuneId
-      }, { onConflict: 'key' });
-
-    if (upsertError) {
-      console.error('Error storing current_finetune_job_id in app_settings:', upsertError);
-    }
-
-    // Optional: also set a "finetune_in_progress" or something similar
-    await supabase
-      .from('app_settings')
-      .upsert({
-        key: 'finetune_in_progress',
-        value: 'true'
-      }, { onConflict: 'key' });
-
-    // Clean up temp file
-    try {
-      fs.unlinkSync(tempFileName);
-    } catch (cleanupErr) {
-      console.warn('Failed to delete temp file:', cleanupErr);
-    }
-
-    // Return quickly, telling the user the job was started
     return {
-      statusCode: 200,
+      statusCode: ['locked', 'running'].includes(result.reason) ? 409 : 200,
       headers,
-      body: JSON.stringify({
-        message: 'Fine-tune job started. Check the job status function to see when it finishes.',
-        fineTuneId
-      })
+      body: JSON.stringify(result)
     };
   } catch (error) {
     console.error('Error in fine-tune (async) function:', error);
@@ -179,4 +120,3 @@ exports.handler = async function(event) {
     };
   }
 };
-
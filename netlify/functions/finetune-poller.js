@@ -0,0 +1,38 @@
+/************************************************
+ * netlify/functions/finetune-poller.js
+ ************************************************/
+const OpenAI = require('openai');
+const { createClient } = require('@supabase/supabase-js');
+const { pollFineTuneStatus, maybeTriggerFineTune } = require('../lib/finetune');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const openAiKey = process.env.OPENAI_API_KEY;
+
+if (!supabaseUrl || !supabaseServiceKey || !openAiKey) {
+  console.error('Missing one of SUPABASE_URL, SUPABASE_SERVICE_ROLE_KEY, or OPENAI_API_KEY.');
+}
+
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+const openai = new OpenAI({ apiKey: openAiKey });
+
+/**
+ * Scheduled function (see netlify.toml). Netlify does not expose scheduled
+ * functions over HTTP in production, so there is no auth check here.
+ * 1) Syncs the running fine-tune job and handles it if it finished.
+ * 2) Starts the next job if the trigger is due, e.g. for rows that were
+ *    queued while the previous job ran, or for the time-based trigger.
+ */
+exports.handler = async function() {
+  try {
+    const status = await pollFineTuneStatus(supabase, openai);
+    console.log('finetune-poller status:', status.message);
+
+    const trigger = await maybeTriggerFineTune(supabase, openai, { source: 'scheduler' });
+    console.log('finetune-poller trigger:', trigger.message);
+  } catch (error) {
+    console.error('Error in finetune-poller:', error);
+  }
+
+  return { statusCode: 200 };
+};
@@ -0,0 +1,116 @@
+/************************************************
+ * netlify/functions/lint-rules.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { listLintRules, saveLintRule, deleteLintRule } = require('../lib/lint-rules');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for lint-rules.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Admin-only section linter rules (see lib/lint-rules.js):
+ * - GET    -> { rules }
+ * - POST   { name, pattern, flags, message, correction, severity, sections, enabled }
+ * - PATCH  { id, ...fields to change } (pattern and flags are sent together)
+ * - DELETE ?id=
+ * POST, PATCH and DELETE return the updated rule list.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event, ['admin']);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  const respond = async (extra = {}) => ({
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({ ...extra, rules: await listLintRules(supabase) })
+  });
+
+  try {
+    if (event.httpMethod === 'GET') {
+      return respond();
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      const id = event.queryStringParameters?.id;
+      if (!id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Missing id.' })
+        };
+      }
+      await deleteLintRule(supabase, id);
+      console.log(`${auth.user.username} deleted lint rule ${id}`);
+      return respond();
+    }
+
+    if (event.httpMethod !== 'POST' && event.httpMethod !== 'PATCH') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: `Method ${event.httpMethod} not allowed.` })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+    if (event.httpMethod === 'PATCH' && !body.id) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing id.' })
+      };
+    }
+
+    let rule;
+    try {
+      rule = await saveLintRule(supabase, {
+        ...body,
+        id: event.httpMethod === 'PATCH' ? body.id : undefined,
+        userId: auth.user.id
+      });
+    } catch (validationErr) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: validationErr.message })
+      };
+    }
+    console.log(`${auth.user.username} saved lint rule ${rule.name}`);
+    return respond({ id: rule.id });
+  } catch (error) {
+    console.error('Error in lint-rules function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage lint rules',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,107 @@
+/************************************************
+ * netlify/functions/login.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { verifyPassword, signToken, authenticate } = require('../lib/auth');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for login.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * POST { username, password } -> { token, user }
+ * GET (with Authorization header) -> { user } if the session is still valid.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  // Session check used by the page on load
+  if (event.httpMethod === 'GET') {
+    const auth = await authenticate(event);
+    if (auth.error) {
+      return {
+        statusCode: auth.error.statusCode,
+        headers,
+        body: JSON.stringify({ error: auth.error.message })
+      };
+    }
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ user: auth.user })
+    };
+  }
+
+  try {
+    const { username, password } = JSON.parse(event.body || '{}');
+
+    if (!username || !password) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing username or password.' })
+      };
+    }
+
+    const { data: userRow, error: userError } = await supabase
+      .from('users')
+      .select('id, username, role, password_hash, full_name, active')
+      .eq('username', username.trim().toLowerCase())
+      .maybeSingle();
+
+    if (userError) {
+      console.error('Error fetching user:', userError);
+      throw new Error('Could not look up user.');
+    }
+
+    // Same response for unknown user and wrong password
+    if (!userRow || !userRow.active || !verifyPassword(password, userRow.password_hash)) {
+      return {
+        statusCode: 401,
+        headers,
+        body: JSON.stringify({ error: 'Invalid credentials.' })
+      };
+    }
+
+    const token = signToken(userRow);
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        token,
+        user: {
+          id: userRow.id,
+          username: userRow.username,
+          role: userRow.role,
+          fullName: userRow.full_name
+        }
+      })
+    };
+  } catch (error) {
+    console.error('Error in login function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to log in',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,157 @@
+/************************************************
+ * netlify/functions/manage-users.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { ROLES, hashPassword, authenticate } = require('../lib/auth');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for manage-users.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+const PUBLIC_COLUMNS = 'id, username, role, full_name, active, created_at';
+
+/**
+ * Admin-only user management:
+ * - GET   -> list all users
+ * - POST  { username, password, role, fullName } -> create a user
+ * - PATCH { id, role?, password?, fullName?, active? } -> update a user
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event, ['admin']);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const { data: users, error } = await supabase
+        .from('users')
+        .select(PUBLIC_COLUMNS)
+        .order('created_at', { ascending: true });
+
+      if (error) {
+        console.error('Error listing users:', error);
+        throw new Error('Could not list users.');
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ users })
+      };
+    }
+
+    const body = JSON.parse(event.body || '{}');
+
+    if (body.role && !ROLES.includes(body.role)) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: `Role must be one of: ${ROLES.join(', ')}.` })
+      };
+    }
+
+    if (event.httpMethod === 'POST') {
+      if (!body.username || !body.password) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Missing username or password.' })
+        };
+      }
+
+      const { data: created, error } = await supabase
+        .from('users')
+        .insert([{
+          username: body.username.trim().toLowerCase(),
+          password_hash: hashPassword(body.password),
+          role: body.role || 'engineer',
+          full_name: body.fullName || null
+        }])
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error creating user:', error);
+        throw new Error('Could not create user.');
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ user: created })
+      };
+    }
+
+    if (event.httpMethod === 'PATCH') {
+      if (!body.id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Missing user id.' })
+        };
+      }
+
+      const updates = {};
+      if (body.role) updates.role = body.role;
+      if (body.password) updates.password_hash = hashPassword(body.password);
+      if (body.fullName !== undefined) updates.full_name = body.fullName;
+      if (body.active !== undefined) updates.active = Boolean(body.active);
+
+      const { data: updated, error } = await supabase
+        .from('users')
+        .update(updates)
+        .eq('id', body.id)
+        .select(PUBLIC_COLUMNS)
+        .single();
+
+      if (error) {
+        console.error('Error updating user:', error);
+        throw new Error('Could not update user.');
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ user: updated })
+      };
+    }
+
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: `Method ${event.httpMethod} not allowed.` })
+    };
+  } catch (error) {
+    console.error('Error in manage-users function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage users',
+        details: error.message
+      })
+    };
+  }
+};
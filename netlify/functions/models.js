@@ -0,0 +1,212 @@
+/************************************************
+ * netlify/functions/models.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const {
+  DEFAULT_MODEL,
+  getSetting,
+  setSetting,
+  deleteSetting,
+  rollbackModel,
+  updateJob
+} = require('../lib/model-registry');
+const { triggerEvaluation } = require('../lib/evaluation');
+const { requeueUnlearnedRows } = require('../lib/finetune');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for models.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+// Models the evaluation gate has not passed
+const UNEVALUATED_STATUSES = ['candidate', 'rejected'];
+
+/**
+ * Admin-only model registry:
+ * - GET -> { models, jobs, activeModel, pinnedModel }
+ * - POST { action: 'pin', model, force? } -> always use this model in generate-report;
+ *                                         candidate and rejected models need force
+ * - POST { action: 'unpin' }            -> go back to the active (auto-promoted) model
+ * - POST { action: 'rollback', model?, force? } -> make an earlier model active again;
+ *                                         candidate and rejected targets need force
+ * - POST { action: 'evaluate', model }  -> (re-)run the evaluation gate for a fine-tuned model
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event, ['admin']);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const [modelsResult, jobsResult, activeModel, pinnedModel] = await Promise.all([
+        supabase.from('models').select('*').order('created_at', { ascending: false }),
+        supabase.from('finetune_jobs').select('*').order('created_at', { ascending: false }),
+        getSetting(supabase, 'active_finetuned_model'),
+        getSetting(supabase, 'pinned_model')
+      ]);
+
+      if (modelsResult.error || jobsResult.error) {
+        console.error('Error listing registry:', modelsResult.error || jobsResult.error);
+        throw new Error('Could not list models or jobs.');
+      }
+
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({
+          models: modelsResult.data,
+          jobs: jobsResult.data,
+          activeModel: activeModel || DEFAULT_MODEL,
+          pinnedModel
+        })
+      };
+    }
+
+    const { action, model, force } = JSON.parse(event.body || '{}');
+
+    // Pin and explicit rollback targets must be in the registry
+    let modelRow = null;
+    if (model) {
+      const { data, error: modelError } = await supabase
+        .from('models')
+        .select('id, status')
+        .eq('id', model)
+        .maybeSingle();
+
+      if (modelError) {
+        console.error('Error fetching model:', modelError);
+        throw new Error('Could not look up model.');
+      }
+      modelRow = data;
+      if (!modelRow) {
+        return {
+          statusCode: 404,
+          headers,
+          body: JSON.stringify({ error: `Model ${model} is not in the registry.` })
+        };
+      }
+    }
+
+    // Pinning or rolling back to a model overrides the evaluation gate,
+    // so a model that has not passed it takes an explicit force
+    if ((action === 'pin' || action === 'rollback') && modelRow &&
+      UNEVALUATED_STATUSES.includes(modelRow.status) && !force) {
+      const verb = action === 'pin' ? 'Pin it' : 'Roll back to it';
+      return {
+        statusCode: 409,
+        headers,
+        body: JSON.stringify({
+          error: `${model} is ${modelRow.status === 'rejected' ? 'rejected by' : 'awaiting'} the evaluation gate. ${verb} anyway with force.`,
+          status: modelRow.status,
+          requiresForce: true
+        })
+      };
+    }
+
+    if (action === 'pin') {
+      if (!model) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Missing model to pin.' })
+        };
+      }
+      await setSetting(supabase, 'pinned_model', model);
+      // Jobs now start from the pinned model
+      await requeueUnlearnedRows(supabase);
+      console.log(`${auth.user.username} pinned model ${model} (${modelRow.status}${force ? ', forced' : ''})`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: `Pinned ${model}.`, pinnedModel: model })
+      };
+    }
+
+    if (action === 'unpin') {
+      await deleteSetting(supabase, 'pinned_model');
+      console.log(`${auth.user.username} removed the model pin`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Pin removed.', pinnedModel: null })
+      };
+    }
+
+    if (action === 'rollback') {
+      const activeModel = await rollbackModel(supabase, model || null);
+      const forced = modelRow && UNEVALUATED_STATUSES.includes(modelRow.status);
+      // A pin would hide the rollback, so clear it
+      await deleteSetting(supabase, 'pinned_model');
+      // Rows learned only by the replaced models go back in the queue
+      await requeueUnlearnedRows(supabase);
+      console.log(`${auth.user.username} rolled back to model ${activeModel}${forced ? ` (${modelRow.status}, forced)` : ''}`);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: `Rolled back to ${activeModel}.`, activeModel })
+      };
+    }
+
+    if (action === 'evaluate') {
+      const { data: evaluatedModel } = await supabase
+        .from('models')
+        .select('job_id')
+        .eq('id', model || '')
+        .maybeSingle();
+
+      if (!evaluatedModel?.job_id) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Only models produced by a fine-tune job can be evaluated.' })
+        };
+      }
+
+      await updateJob(supabase, evaluatedModel.job_id, { evaluation_status: 'pending' });
+      await triggerEvaluation(evaluatedModel.job_id, model);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: `Evaluation of ${model} started.` })
+      };
+    }
+
+    return {
+      statusCode: 400,
+      headers,
+      body: JSON.stringify({ error: 'Unknown action. Use pin, unpin, rollback or evaluate.' })
+    };
+  } catch (error) {
+    console.error('Error in models function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage models',
+        details: error.message
+      })
+    };
+  }
+};
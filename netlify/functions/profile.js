@@ -0,0 +1,81 @@
+/************************************************
+ * netlify/functions/profile.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { getProfile, updateProfileImages } = require('../lib/profile');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for profile.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * The signed-in user's own profile:
+ * - GET -> { profile: { fullName, signatureImage, sealImage } }
+ * - PUT { signatureImage?, sealImage? } -> save images (PNG/JPEG data URLs),
+ *   or clear one with null
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, PUT, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    if (event.httpMethod === 'PUT') {
+      try {
+        await updateProfileImages(supabase, auth.user.id, JSON.parse(event.body || '{}'));
+      } catch (validationErr) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationErr.message })
+        };
+      }
+    } else if (event.httpMethod !== 'GET') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: `Method ${event.httpMethod} not allowed.` })
+      };
+    }
+
+    const profile = await getProfile(supabase, auth.user.id);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ profile })
+    };
+  } catch (error) {
+    console.error('Error in profile function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to load profile',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,150 @@
+/************************************************
+ * netlify/functions/report-photos.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const {
+  canAccessPhotos,
+  listPhotos,
+  addPhoto,
+  getPhotoRow,
+  updatePhoto,
+  deletePhoto
+} = require('../lib/photos');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for report-photos.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Photos of a report (see lib/photos.js):
+ * - GET    ?reportId=  -> { photos } in figure order, with signed URLs
+ * - POST   { reportId, fileName, contentType, data (base64), width, height,
+ *            caption, elevation, roofSlope, affectedArea } -> upload a photo
+ * - PATCH  { id, caption?, elevation?, roofSlope?, affectedArea? }
+ * - DELETE ?id=
+ * POST, PATCH and DELETE return the report's updated photo list.
+ * Only the report's owner or an admin may list or add its photos, and only
+ * the uploader or an admin may change or delete a photo.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, PATCH, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  const forbidden = {
+    statusCode: 403,
+    headers,
+    body: JSON.stringify({ error: 'Only the engineer who created a report can see or add its photos.' })
+  };
+
+  const respond = async (statusCode, reportId, extra = {}) => ({
+    statusCode,
+    headers,
+    body: JSON.stringify({ ...extra, photos: await listPhotos(supabase, reportId) })
+  });
+
+  try {
+    if (event.httpMethod === 'GET') {
+      const reportId = event.queryStringParameters?.reportId;
+      if (!reportId) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: 'Missing reportId.' })
+        };
+      }
+      if (!(await canAccessPhotos(supabase, reportId, auth.user))) return forbidden;
+      return respond(200, reportId);
+    }
+
+    if (event.httpMethod === 'POST') {
+      const body = JSON.parse(event.body || '{}');
+      if (body.reportId && !(await canAccessPhotos(supabase, body.reportId, auth.user))) return forbidden;
+      let row;
+      try {
+        row = await addPhoto(supabase, { ...body, userId: auth.user.id });
+      } catch (validationErr) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationErr.message })
+        };
+      }
+      return respond(200, row.report_id, { id: row.id });
+    }
+
+    if (event.httpMethod !== 'PATCH' && event.httpMethod !== 'DELETE') {
+      return {
+        statusCode: 405,
+        headers,
+        body: JSON.stringify({ error: `Method ${event.httpMethod} not allowed.` })
+      };
+    }
+
+    const body = event.httpMethod === 'PATCH' ? JSON.parse(event.body || '{}') : {};
+    const id = body.id || event.queryStringParameters?.id;
+    const row = id ? await getPhotoRow(supabase, id) : null;
+    if (!row) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Photo not found.' })
+      };
+    }
+    if (row.user_id !== auth.user.id && auth.user.role !== 'admin') {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who uploaded a photo can change it.' })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await deletePhoto(supabase, row);
+    } else {
+      try {
+        await updatePhoto(supabase, row.id, body);
+      } catch (validationErr) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationErr.message })
+        };
+      }
+    }
+    return respond(200, row.report_id);
+  } catch (error) {
+    console.error('Error in report-photos function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage report photos',
+        details: error.message
+      })
+    };
+  }
+};
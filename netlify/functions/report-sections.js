@@ -0,0 +1,46 @@
+/************************************************
+ * netlify/functions/report-sections.js
+ ************************************************/
+const { authenticate } = require('../lib/auth');
+const { SECTION_DEPENDENCIES, SECTIONS_WITHOUT_WEATHER } = require('../lib/prompts');
+
+/**
+ * GET -> { dependencies: { sectionId: [sectionId, ...] }, withoutWeather: [sectionId, ...] }
+ * The sections whose full text each section is written from, and the
+ * sections written without weather data (see lib/prompts.js), so the
+ * browser orders a full draft the way generate-report writes it.
+ * Section ids are lowercase.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  return {
+    statusCode: 200,
+    headers,
+    body: JSON.stringify({
+      dependencies: SECTION_DEPENDENCIES,
+      withoutWeather: SECTIONS_WITHOUT_WEATHER
+    })
+  };
+};
@@ -0,0 +1,136 @@
+/************************************************
+ * netlify/functions/reports.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const {
+  toSummary,
+  listReports,
+  getReportRow,
+  validateDraft,
+  saveReport,
+  deleteReport
+} = require('../lib/reports');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for reports.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Report drafts (see lib/reports.js):
+ * - GET          -> { reports } of the signed-in user, most recent first
+ * - GET ?id=     -> { report } with its draft, to resume it
+ * - PUT { id, draft } -> create or autosave the draft -> { report }
+ * - DELETE ?id=
+ * Only the engineer who created a report or an admin may open, save or
+ * delete it.
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  if (!['GET', 'PUT', 'DELETE'].includes(event.httpMethod)) {
+    return {
+      statusCode: 405,
+      headers,
+      body: JSON.stringify({ error: `Method ${event.httpMethod} not allowed.` })
+    };
+  }
+
+  try {
+    const body = event.httpMethod === 'PUT' ? JSON.parse(event.body || '{}') : {};
+    const id = body.id || event.queryStringParameters?.id;
+
+    if (event.httpMethod === 'GET' && !id) {
+      const reports = await listReports(supabase, auth.user.id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ reports })
+      };
+    }
+
+    const row = id ? await getReportRow(supabase, id, { withDraft: event.httpMethod === 'GET' }) : null;
+    if (row && row.user_id !== auth.user.id && auth.user.role !== 'admin') {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who created a report can open or change it.' })
+      };
+    }
+
+    if (event.httpMethod === 'PUT') {
+      try {
+        validateDraft(id, body.draft);
+      } catch (validationErr) {
+        return {
+          statusCode: 400,
+          headers,
+          body: JSON.stringify({ error: validationErr.message })
+        };
+      }
+      const report = await saveReport(supabase, { id, userId: auth.user.id, draft: body.draft, existing: row });
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ report })
+      };
+    }
+
+    if (!row) {
+      return {
+        statusCode: 404,
+        headers,
+        body: JSON.stringify({ error: 'Report not found.' })
+      };
+    }
+
+    if (event.httpMethod === 'DELETE') {
+      await deleteReport(supabase, row.id);
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Report deleted.' })
+      };
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ report: { ...toSummary(row), draft: row.draft } })
+    };
+  } catch (error) {
+    console.error('Error in reports function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to manage reports',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,80 @@
+/************************************************
+ * netlify/functions/section-provenance.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { listProvenance, canAccessProvenance } = require('../lib/provenance');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for section-provenance.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * GET ?reportId= -> { records } with the model, settings, prompts, weather
+ * snapshot and token usage behind every section generated for the report,
+ * oldest first (regenerations included). Only visible to the report's
+ * engineer and admins (see canAccessProvenance in lib/provenance.js).
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const reportId = event.queryStringParameters?.reportId;
+    if (!reportId) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({ error: 'Missing reportId.' })
+      };
+    }
+
+    if (!(await canAccessProvenance(supabase, reportId, auth.user))) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who created a report can view its provenance.' })
+      };
+    }
+
+    const records = await listProvenance(supabase, reportId);
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({ records })
+    };
+  } catch (error) {
+    console.error('Error in section-provenance function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to load section provenance',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,125 @@
+/************************************************
+ * netlify/functions/store-preference-pair.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { canAccessProvenance } = require('../lib/provenance');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for store-preference-pair.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Store one regeneration as a preference pair:
+ * the section prompt, the output the engineer rejected,
+ * the regeneration instructions, and the new (chosen) output.
+ * fine-tune.js exports these as preference-format JSONL.
+ *
+ * Body:
+ * {
+ *   "reportId": "uuid", "sectionId": "observations",
+ *   "system": "system prompt", "user": "user prompt without regeneration instructions",
+ *   "rejected": "previous section text", "instructions": "engineer instructions",
+ *   "chosen": "regenerated section text", "model": "model that generated both"
+ * }
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const {
+      reportId, sectionId, system, user, rejected, instructions, chosen, model
+    } = JSON.parse(event.body || '{}');
+
+    if (!reportId || !sectionId || !system || !user || !rejected || !chosen) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Missing reportId, sectionId, prompts, rejected or chosen output.'
+        })
+      };
+    }
+
+    if (!(await canAccessProvenance(supabase, reportId, auth.user))) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who created a report can store its regenerations.' })
+      };
+    }
+
+    if (rejected.trim() === chosen.trim()) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Outputs are identical. Pair not stored.' })
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('preference_pairs')
+      .insert([{
+        report_id: reportId,
+        section_id: sectionId,
+        system_prompt: system,
+        user_prompt: user,
+        rejected_output: rejected,
+        instructions: instructions || '',
+        chosen_output: chosen,
+        model: model || null,
+        user_id: auth.user.id,
+        username: auth.user.username
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Supabase insert error:', error);
+      throw new Error('Failed to insert preference pair into Supabase.');
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: 'Preference pair stored.',
+        pairId: data.id
+      })
+    };
+  } catch (error) {
+    console.error('Error in store-preference-pair function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to store preference pair',
+        details: error.message
+      })
+    };
+  }
+};
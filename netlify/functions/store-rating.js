@@ -0,0 +1,115 @@
+/************************************************
+ * netlify/functions/store-rating.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { canAccessProvenance } = require('../lib/provenance');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for store-rating.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Store a single section rating as soon as it is submitted.
+ * Every rating is kept (not only 9+), so low-rated sections and
+ * their written feedback can be used later.
+ *
+ * Body:
+ * {
+ *   "reportId": "uuid of the report being written",
+ *   "sectionId": "observations",
+ *   "rating": 7,
+ *   "feedback": "written feedback from the reviewer",
+ *   "model": "model that generated the section",
+ *   "generatedText": "the section text that was rated"
+ * }
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const { reportId, sectionId, rating, feedback, model, generatedText } = JSON.parse(event.body || '{}');
+
+    const numericRating = Number(rating);
+    if (!reportId || !sectionId || isNaN(numericRating) || numericRating < 1 || numericRating > 10) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Missing reportId or sectionId, or rating is not between 1 and 10.'
+        })
+      };
+    }
+
+    if (!(await canAccessProvenance(supabase, reportId, auth.user))) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who created a report can rate its sections.' })
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('section_ratings')
+      .insert([{
+        report_id: reportId,
+        section_id: sectionId,
+        rating: numericRating,
+        feedback: feedback || '',
+        user_id: auth.user.id,
+        username: auth.user.username,
+        model: model || null,
+        generated_text: generatedText || ''
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Supabase insert error:', error);
+      throw new Error('Failed to insert section rating into Supabase.');
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: 'Rating stored.',
+        ratingId: data.id
+      })
+    };
+  } catch (error) {
+    console.error('Error in store-rating function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to store rating',
+        details: error.message
+      })
+    };
+  }
+};
@@ -0,0 +1,131 @@
+/************************************************
+ * netlify/functions/store-section-edit.js
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { authenticate } = require('../lib/auth');
+const { canAccessProvenance } = require('../lib/provenance');
+const { diffSectionText } = require('../lib/text-diff');
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+if (!supabaseUrl || !supabaseServiceKey) {
+  console.error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for store-section-edit.');
+}
+const supabase = createClient(supabaseUrl, supabaseServiceKey);
+
+/**
+ * Store the engineer's edit of a generated section when it is accepted:
+ * the model's output, the edited text and their word diff.
+ * fine-tune.js exports edits with prompts as preference pairs.
+ *
+ * Body:
+ * {
+ *   "reportId": "uuid", "sectionId": "observations",
+ *   "system": "system prompt", "user": "user prompt" (both optional),
+ *   "original": "generated section text", "edited": "accepted section text",
+ *   "model": "model that generated the section"
+ * }
+ */
+exports.handler = async function(event) {
+  const headers = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'POST, OPTIONS'
+  };
+
+  if (event.httpMethod === 'OPTIONS') {
+    return {
+      statusCode: 200,
+      headers,
+      body: ''
+    };
+  }
+
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
+  try {
+    const {
+      reportId, sectionId, system, user, original, edited, model
+    } = JSON.parse(event.body || '{}');
+
+    if (!reportId || !sectionId || !original || !edited) {
+      return {
+        statusCode: 400,
+        headers,
+        body: JSON.stringify({
+          error: 'Missing reportId, sectionId, original or edited text.'
+        })
+      };
+    }
+
+    if (!(await canAccessProvenance(supabase, reportId, auth.user))) {
+      return {
+        statusCode: 403,
+        headers,
+        body: JSON.stringify({ error: 'Only the engineer who created a report can store its edits.' })
+      };
+    }
+
+    if (original.trim() === edited.trim()) {
+      return {
+        statusCode: 200,
+        headers,
+        body: JSON.stringify({ message: 'Text was not changed. Edit not stored.' })
+      };
+    }
+
+    const { changes, wordsAdded, wordsRemoved } = diffSectionText(original, edited);
+
+    const { data, error } = await supabase
+      .from('section_edits')
+      .insert([{
+        report_id: reportId,
+        section_id: sectionId,
+        system_prompt: system || null,
+        user_prompt: user || null,
+        original_output: original,
+        edited_output: edited,
+        diff: changes,
+        words_added: wordsAdded,
+        words_removed: wordsRemoved,
+        model: model || null,
+        user_id: auth.user.id,
+        username: auth.user.username
+      }])
+      .select('id')
+      .single();
+
+    if (error) {
+      console.error('Supabase insert error:', error);
+      throw new Error('Failed to insert section edit into Supabase.');
+    }
+
+    return {
+      statusCode: 200,
+      headers,
+      body: JSON.stringify({
+        message: 'Section edit stored.',
+        editId: data.id,
+        wordsAdded,
+        wordsRemoved
+      })
+    };
+  } catch (error) {
+    console.error('Error in store-section-edit function:', error);
+    return {
+      statusCode: 500,
+      headers,
+      body: JSON.stringify({
+        error: 'Failed to store section edit',
+        details: error.message
+      })
+    };
+  }
+};
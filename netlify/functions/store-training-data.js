@@ -2,7 +2,7 @@
  * netlify/functions/store-training-data.js
  ************************************************/
 const { createClient } = require('@supabase/supabase-js');
-const axios = require('axios');
+const { authenticate } = require('../lib/auth');
 
 /**
  * We'll read our Supabase URL and Service Role Key from environment variables.
@@ -22,7 +22,7 @@ const supabase = createClient(supabaseUrl, supabaseServiceKey);
 exports.handler = async function(event) {
   const headers = {
     'Access-Control-Allow-Origin': '*',
-    'Access-Control-Allow-Headers': 'Content-Type',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
     'Access-Control-Allow-Methods': 'POST, OPTIONS'
   };
 
@@ -35,14 +35,29 @@ exports.handler = async function(event) {
     };
   }
 
+  const auth = await authenticate(event);
+  if (auth.error) {
+    return {
+      statusCode: auth.error.statusCode,
+      headers,
+      body: JSON.stringify({ error: auth.error.message })
+    };
+  }
+
   try {
     // Parse the body we expect:
     // {
     //   "finalReportText": "string with the entire final assembled text",
     //   "ratings": { "introduction": 9, "authorization": 9, ... },
+    //   "sections": [
+    //     { "id": "introduction", "title": "Introduction",
+    //       "system": "exact system prompt", "user": "exact user prompt",
+    //       "output": "accepted section text" },
+    //     ...
+    //   ],
     //   "metadata": { ...anything else e.g. user info, date, etc. }
     // }
-    const { finalReportText, ratings, metadata } = JSON.parse(event.body || '{}');
+    const { finalReportText, ratings, sections, metadata } = JSON.parse(event.body || '{}');
 
     if (!finalReportText || !ratings) {
       return {
@@ -83,15 +98,26 @@ exports.handler = async function(event) {
     }
 
     // If we're here, user rated all sections >= 9
-    // Insert into training_data table as JSON
-    // We'll store finalReportText plus any metadata you want.
-    // For advanced GPT-4 fine-tuning, you might eventually want to
-    // store it in a more complex "messages" array format.
+    // Insert into training_data table as JSON.
+    // Each section keeps the exact prompts that produced it, so fine-tune
+    // can build one chat example per section (see fine-tune.js).
+    const trainingSections = (Array.isArray(sections) ? sections : [])
+      .filter(sec => sec && sec.id && sec.system && sec.user && sec.output)
+      .map(sec => ({
+        id: sec.id,
+        title: sec.title || sec.id,
+        system: sec.system,
+        user: sec.user,
+        output: sec.output,
+        rating: ratings[sec.id] ?? null
+      }));
+
     const insertPayload = {
       report_json: {
         text: finalReportText,
         ratings,
-        metadata
+        sections: trainingSections,
+        metadata: { ...metadata, storedBy: auth.user.username }
       }
     };
 
@@ -104,35 +130,8 @@ exports.handler = async function(event) {
       throw new Error('Failed to insert training data into Supabase.');
     }
 
-    // Now let's see how many total entries we have
-    const { count, error: countError } = await supabase
-      .from('training_data')
-      .select('*', { count: 'exact', head: true });
-
-    if (countError) {
-      console.error('Supabase count error:', countError);
-      throw new Error('Failed to count training_data rows.');
-    }
-
-    // If count is a multiple of 5, let's trigger fine-tuning
-    if (count % 5 === 0 && count > 0) {
-      console.log(`We have ${count} training records. Triggering fine-tune...`);
-
-      // We can call the fine-tune function
-      // (Make sure your "fine-tune" function is at /.netlify/functions/fine-tune)
-      try {
-        const fineTuneResponse = await axios.post(`${process.env.URL}/.netlify/functions/fine-tune`, {
-          // We could pass some data if needed, e.g. a "trigger" param
-          trigger: `Auto fine-tune at ${count} records`
-        }, {
-          headers: { 'Content-Type': 'application/json' }
-        });
-        console.log('fineTuneResponse:', fineTuneResponse.data);
-      } catch (fineTuneErr) {
-        console.error('Error triggering fine-tune:', fineTuneErr);
-        // We won't throw an error because we still want to return a success for storing the data
-      }
-    }
+    // The new row is queued for the next fine-tune job; the scheduled
+    // finetune-poller starts one when the configured trigger is due.
 
     // Return success
     return {
@@ -0,0 +1,182 @@
+/************************************************
+ * netlify/lib/auth.js
+ ************************************************/
+const crypto = require('crypto');
+const { createClient } = require('@supabase/supabase-js');
+
+/**
+ * Shared authentication helpers for the Netlify functions.
+ * Passwords are hashed with scrypt, and sessions are HMAC-signed
+ * tokens (JWT format, HS256) carrying the user id, username and role.
+ * Every request also checks the user's row, so deactivating or demoting
+ * a user takes effect before the token expires.
+ * Set AUTH_TOKEN_SECRET in Netlify settings.
+ */
+const tokenSecret = process.env.AUTH_TOKEN_SECRET;
+if (!tokenSecret) {
+  console.error('Missing AUTH_TOKEN_SECRET. Sessions cannot be signed or verified.');
+}
+
+const supabaseUrl = process.env.SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+const supabase = supabaseUrl && supabaseServiceKey ? createClient(supabaseUrl, supabaseServiceKey) : null;
+
+const ROLES = ['engineer', 'reviewer', 'admin'];
+// Subject of service tokens; it has no users row
+const SERVICE_USER_ID = 'system';
+const TOKEN_TTL_SECONDS = 12 * 60 * 60; // one working day
+
+function base64UrlEncode(input) {
+  return Buffer.from(input).toString('base64')
+    .replace(/=+$/, '')
+    .replace(/\+/g, '-')
+    .replace(/\//g, '_');
+}
+
+function base64UrlDecode(input) {
+  const padded = input.replace(/-/g, '+').replace(/_/g, '/');
+  return Buffer.from(padded, 'base64').toString('utf-8');
+}
+
+function sign(data) {
+  return base64UrlEncode(crypto.createHmac('sha256', tokenSecret || '').update(data).digest());
+}
+
+/**
+ * Hash a plaintext password. Result is "scrypt$<salt>$<hash>".
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const hash = crypto.scryptSync(password, salt, 64).toString('hex');
+  return `scrypt$${salt}$${hash}`;
+}
+
+/**
+ * Compare a plaintext password against a stored scrypt hash.
+ */
+function verifyPassword(password, storedHash) {
+  if (!password || !storedHash) return false;
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  const expected = Buffer.from(hash, 'hex');
+  const actual = crypto.scryptSync(password, salt, expected.length);
+  return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Create a signed session token for a user row ({ id, username, role }).
+ */
+function signToken(user, ttlSeconds = TOKEN_TTL_SECONDS) {
+  const now = Math.floor(Date.now() / 1000);
+  const header = base64UrlEncode(JSON.stringify({ alg: 'HS256', typ: 'JWT' }));
+  const payload = base64UrlEncode(JSON.stringify({
+    sub: user.id,
+    username: user.username,
+    role: user.role,
+    iat: now,
+    exp: now + ttlSeconds
+  }));
+  return `${header}.${payload}.${sign(`${header}.${payload}`)}`;
+}
+
+/**
+ * Verify a token's signature and expiry.
+ * Returns the decoded payload, or null if the token is invalid.
+ */
+function verifyToken(token) {
+  if (!tokenSecret || typeof token !== 'string') return null;
+
+  const parts = token.split('.');
+  if (parts.length !== 3) return null;
+
+  const [header, payload, signature] = parts;
+  const expected = Buffer.from(sign(`${header}.${payload}`));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    const claims = JSON.parse(base64UrlDecode(payload));
+    if (!claims.exp || claims.exp < Math.floor(Date.now() / 1000)) return null;
+    if (!ROLES.includes(claims.role)) return null;
+    return claims;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * The user's current { id, username, role }, or null when the account
+ * no longer exists or was deactivated.
+ */
+async function getActiveUser(id) {
+  if (!supabase) throw new Error('Missing SUPABASE_URL or SUPABASE_SERVICE_ROLE_KEY for auth.');
+  const { data, error } = await supabase
+    .from('users')
+    .select('id, username, role, active')
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching session user:', error);
+    throw new Error('Could not look up user.');
+  }
+  return data && data.active ? { id: data.id, username: data.username, role: data.role } : null;
+}
+
+/**
+ * Check the Authorization header of a Netlify event against the token
+ * and the user's current row (the role in the token may be out of date).
+ * Resolves to { user } on success, or { error: { statusCode, message } }
+ * so the caller can build its own response with its own CORS headers.
+ */
+async function authenticate(event, allowedRoles = ROLES) {
+  const authHeader = event.headers?.authorization || event.headers?.Authorization || '';
+  const match = authHeader.match(/^Bearer\s+(.+)$/i);
+  if (!match) {
+    return { error: { statusCode: 401, message: 'Missing session token.' } };
+  }
+
+  const claims = verifyToken(match[1].trim());
+  if (!claims) {
+    return { error: { statusCode: 401, message: 'Invalid or expired session token.' } };
+  }
+
+  let user = { id: claims.sub, username: claims.username, role: claims.role };
+  if (claims.sub !== SERVICE_USER_ID) {
+    try {
+      user = await getActiveUser(claims.sub);
+    } catch (err) {
+      return { error: { statusCode: 500, message: 'Could not verify the session.' } };
+    }
+    if (!user) {
+      return { error: { statusCode: 401, message: 'This account is no longer active.' } };
+    }
+  }
+
+  if (!allowedRoles.includes(user.role)) {
+    return { error: { statusCode: 403, message: `Role "${user.role}" is not allowed to call this function.` } };
+  }
+
+  return { user };
+}
+
+/**
+ * Short-lived admin token for function-to-function calls
+ * (e.g. store-training-data triggering fine-tune).
+ */
+function createServiceToken() {
+  return signToken({ id: SERVICE_USER_ID, username: 'system', role: 'admin' }, 5 * 60);
+}
+
+module.exports = {
+  ROLES,
+  hashPassword,
+  verifyPassword,
+  signToken,
+  verifyToken,
+  authenticate,
+  createServiceToken
+};
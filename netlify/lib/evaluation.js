@@ -0,0 +1,118 @@
+/************************************************
+ * netlify/lib/evaluation.js
+ ************************************************/
+const axios = require('axios');
+const { createServiceToken } = require('./auth');
+const { generateSectionPrompt } = require('./prompts');
+const { scoreSection } = require('./quality-checks');
+const benchmarks = require('../benchmarks');
+
+/**
+ * Evaluation gate for fine-tuned models. The candidate and the current
+ * model each write the evaluated sections for every benchmark intake file,
+ * the outputs are scored with the deterministic checks, and the candidate
+ * passes only if:
+ *   - its average score is at least EVAL_MIN_SCORE (default 80), and
+ *   - it trails the current model by no more than EVAL_MAX_REGRESSION points (default 0).
+ * EVAL_SECTIONS sets which sections are generated (comma-separated).
+ */
+const EVAL_SECTIONS = (process.env.EVAL_SECTIONS || 'observations,conclusions,rebuttal')
+  .split(',')
+  .map((s) => s.trim().toLowerCase())
+  .filter(Boolean);
+const EVAL_MIN_SCORE = Number(process.env.EVAL_MIN_SCORE || 80);
+const EVAL_MAX_REGRESSION = Number(process.env.EVAL_MAX_REGRESSION || 0);
+
+function average(values) {
+  if (values.length === 0) return 0;
+  return Math.round((values.reduce((sum, v) => sum + v, 0) / values.length) * 10) / 10;
+}
+
+/**
+ * Write the evaluated sections for one benchmark, in order, feeding each
+ * section the earlier ones exactly as generate-report would.
+ */
+async function runBenchmark(openai, model, benchmark) {
+  const written = {};
+  const sections = [];
+
+  for (const sectionId of EVAL_SECTIONS) {
+    const prompt = await generateSectionPrompt(sectionId, benchmark.context, benchmark.weatherData || {}, '', written);
+    const completion = await openai.chat.completions.create({
+      model,
+      messages: [
+        { role: 'system', content: prompt.systemPrompt },
+        { role: 'user', content: prompt.userPrompt }
+      ],
+      temperature: 0.2,
+      max_tokens: 4000
+    });
+
+    const text = completion.choices[0].message.content || '';
+    written[sectionId] = text;
+    sections.push({ sectionId, text, ...scoreSection(sectionId, text, benchmark.context) });
+  }
+
+  return {
+    name: benchmark.name,
+    averageScore: average(sections.map((s) => s.score)),
+    sections
+  };
+}
+
+async function evaluateModel(openai, model) {
+  const results = [];
+  for (const benchmark of benchmarks) {
+    results.push(await runBenchmark(openai, model, benchmark));
+  }
+  return {
+    model,
+    averageScore: average(results.flatMap((r) => r.sections.map((s) => s.score))),
+    benchmarks: results
+  };
+}
+
+/**
+ * Run candidate and baseline against every benchmark.
+ * Returns the comparison report that is saved with the job.
+ */
+async function compareModels(openai, { candidate, baseline }) {
+  const candidateResult = await evaluateModel(openai, candidate);
+  const baselineResult = await evaluateModel(openai, baseline);
+
+  const passed = candidateResult.averageScore >= EVAL_MIN_SCORE
+    && candidateResult.averageScore >= baselineResult.averageScore - EVAL_MAX_REGRESSION;
+
+  return {
+    evaluatedAt: new Date().toISOString(),
+    sections: EVAL_SECTIONS,
+    thresholds: {
+      minScore: EVAL_MIN_SCORE,
+      maxRegression: EVAL_MAX_REGRESSION
+    },
+    candidate: candidateResult,
+    baseline: baselineResult,
+    passed
+  };
+}
+
+/**
+ * Start the evaluate-model background function for a finished job.
+ * It runs for several minutes, so we only wait for Netlify to accept it.
+ */
+async function triggerEvaluation(jobId, candidate) {
+  await axios.post(`${process.env.URL}/.netlify/functions/evaluate-model-background`, {
+    jobId,
+    candidate
+  }, {
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${createServiceToken()}`
+    }
+  });
+}
+
+module.exports = {
+  compareModels,
+  triggerEvaluation
+};
@@ -0,0 +1,234 @@
+/************************************************
+ * netlify/lib/export/docx.js
+ ************************************************/
+const {
+  AlignmentType,
+  BorderStyle,
+  Document,
+  Header,
+  HeadingLevel,
+  ImageRun,
+  LevelFormat,
+  Packer,
+  Paragraph,
+  Table,
+  TableCell,
+  TableOfContents,
+  TableRow,
+  TextRun,
+  WidthType
+} = require('docx');
+const { safeString } = require('../utils');
+const { figureCaption } = require('../photos');
+const { markdownToBlocks } = require('./markdown');
+
+/**
+ * Word export of a compiled report. Sections are rendered in the order
+ * given; the "tableOfContents" section (HTML links) is replaced by a real
+ * TOC field (Word fills it in when the document is opened).
+ */
+const HEADING_LEVELS = [
+  HeadingLevel.HEADING_1,
+  HeadingLevel.HEADING_2,
+  HeadingLevel.HEADING_3,
+  HeadingLevel.HEADING_4,
+  HeadingLevel.HEADING_5,
+  HeadingLevel.HEADING_6
+];
+const NUMBERING_REFERENCE = 'report-numbered-list';
+const CELL_BORDER = { style: BorderStyle.SINGLE, size: 4, color: '999999' };
+// Largest photo size in the appendix, in pixels (96 per inch)
+const PHOTO_BOX = { width: 600, height: 450 };
+
+function textRuns(runs, extra = {}) {
+  // Line breaks inside a run become Word breaks
+  return runs.flatMap((run) => String(run.text).split('\n').map((text, i) => new TextRun({
+    text,
+    bold: run.bold,
+    italics: run.italics,
+    break: i > 0 ? 1 : undefined,
+    ...extra
+  })));
+}
+
+function tableFromBlock(block) {
+  const row = (cells, isHeader) => new TableRow({
+    tableHeader: isHeader,
+    children: cells.map((runs) => new TableCell({
+      borders: { top: CELL_BORDER, bottom: CELL_BORDER, left: CELL_BORDER, right: CELL_BORDER },
+      children: [new Paragraph({ children: textRuns(runs, isHeader ? { bold: true } : {}) })]
+    }))
+  });
+
+  return new Table({
+    width: { size: 100, type: WidthType.PERCENTAGE },
+    rows: [row(block.header, true), ...block.rows.map((cells) => row(cells, false))]
+  });
+}
+
+/**
+ * Render markdown blocks. Markdown headings sit one level below the
+ * section heading. `state.listInstance` restarts numbering for each list.
+ */
+function renderBlocks(blocks, state) {
+  return blocks.flatMap((block) => {
+    switch (block.type) {
+      case 'heading':
+        return [new Paragraph({
+          heading: HEADING_LEVELS[Math.min(block.depth, HEADING_LEVELS.length - 1)],
+          children: textRuns(block.runs)
+        })];
+      case 'list': {
+        state.listInstance += 1;
+        const instance = state.listInstance;
+        return block.items.map((runs) => new Paragraph({
+          children: textRuns(runs),
+          ...(block.ordered
+            ? { numbering: { reference: NUMBERING_REFERENCE, level: 0, instance } }
+            : { bullet: { level: 0 } })
+        }));
+      }
+      case 'table':
+        return [tableFromBlock(block), new Paragraph({ children: [] })];
+      default:
+        return [new Paragraph({ children: textRuns(block.runs), spacing: { after: 160 } })];
+    }
+  });
+}
+
+/**
+ * One figure per photo: the image scaled into PHOTO_BOX and its caption.
+ */
+function photoAppendix(photos) {
+  return photos.flatMap((photo) => {
+    const scale = Math.min(
+      PHOTO_BOX.width / (photo.width || PHOTO_BOX.width),
+      PHOTO_BOX.height / (photo.height || PHOTO_BOX.height),
+      1
+    );
+    return [
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        keepNext: true,
+        spacing: { before: 240 },
+        children: [new ImageRun({
+          type: photo.contentType === 'image/png' ? 'png' : 'jpg',
+          data: photo.buffer,
+          transformation: {
+            width: Math.round((photo.width || PHOTO_BOX.width) * scale),
+            height: Math.round((photo.height || PHOTO_BOX.height) * scale)
+          }
+        })]
+      }),
+      new Paragraph({
+        alignment: AlignmentType.CENTER,
+        spacing: { after: 240 },
+        children: [new TextRun({ text: figureCaption(photo), italics: true })]
+      })
+    ];
+  });
+}
+
+function signatureBlock(context) {
+  const engineerName = safeString(context?.engineerName).trim();
+  const lines = [
+    engineerName && `${engineerName}, P.E.`,
+    safeString(context?.engineerLicense).trim() && `License No. ${safeString(context.engineerLicense).trim()}`,
+    [safeString(context?.engineerEmail).trim(), safeString(context?.engineerPhone).trim()].filter(Boolean).join(' | ')
+  ].filter(Boolean);
+
+  return [
+    new Paragraph({ children: [new TextRun('Respectfully submitted,')], spacing: { before: 480, after: 960 } }),
+    ...lines.map((line, i) => new Paragraph({ children: [new TextRun({ text: line, bold: i === 0 })] }))
+  ];
+}
+
+function pageHeader(context) {
+  const parts = [
+    safeString(context?.projectName).trim(),
+    safeString(context?.claimNumber).trim() && `Claim No. ${safeString(context.claimNumber).trim()}`
+  ].filter(Boolean);
+
+  return new Header({
+    children: [new Paragraph({
+      alignment: AlignmentType.RIGHT,
+      children: [new TextRun({ text: parts.join(' | '), size: 18, color: '555555' })]
+    })]
+  });
+}
+
+/**
+ * sections: [{ id, title, content }] in report order.
+ * photos: figures for the "photoAppendix" section, with file buffers
+ * (see lib/photos.js downloadPhotos). Without them the appendix is
+ * rendered from its markdown (captions only).
+ * Returns a Buffer with the .docx file.
+ */
+async function buildDocx({ sections, context, photos = [] }) {
+  const state = { listInstance: 0 };
+  const children = [];
+  let signed = false;
+
+  sections.forEach((section, index) => {
+    if (section.id === 'tableOfContents') {
+      children.push(
+        new Paragraph({
+          children: [new TextRun({ text: 'Table of Contents', bold: true, size: 32 })],
+          pageBreakBefore: index > 0,
+          spacing: { after: 240 }
+        }),
+        new TableOfContents('Table of Contents', { hyperlink: true, headingStyleRange: '1-2' })
+      );
+      return;
+    }
+
+    // The report is signed before its appendix
+    const isAppendix = section.id === 'photoAppendix';
+    if (isAppendix && !signed) {
+      children.push(...signatureBlock(context));
+      signed = true;
+    }
+
+    children.push(
+      new Paragraph({
+        heading: HeadingLevel.HEADING_1,
+        // The opening letter, the TOC and the appendix stand on their own pages
+        pageBreakBefore: index > 0 && (isAppendix || ['openingLetter', 'tableOfContents'].includes(sections[index - 1].id)),
+        children: [new TextRun(section.title)]
+      }),
+      ...(isAppendix && photos.length > 0
+        ? photoAppendix(photos)
+        : renderBlocks(markdownToBlocks(section.content), state))
+    );
+  });
+
+  if (!signed) children.push(...signatureBlock(context));
+
+  const doc = new Document({
+    title: safeString(context?.projectName) || 'Forensic Engineering Report',
+    creator: safeString(context?.engineerName) || undefined,
+    // Ask Word to fill in the TOC field when the file is opened
+    features: { updateFields: true },
+    styles: {
+      default: {
+        document: { run: { font: 'Calibri', size: 22 } }
+      }
+    },
+    numbering: {
+      config: [{
+        reference: NUMBERING_REFERENCE,
+        levels: [{ level: 0, format: LevelFormat.DECIMAL, text: '%1.', alignment: AlignmentType.START }]
+      }]
+    },
+    sections: [{
+      headers: { default: pageHeader(context) },
+      children
+    }]
+  });
+
+  return Packer.toBuffer(doc);
+}
+
+module.exports = {
+  buildDocx
+};
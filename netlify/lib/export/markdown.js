@@ -0,0 +1,113 @@
+/************************************************
+ * netlify/lib/export/markdown.js
+ ************************************************/
+const { marked } = require('marked');
+
+/**
+ * Turn section markdown into a small block model that the document
+ * exporters render:
+ *   { type: 'heading', depth, runs }
+ *   { type: 'paragraph', runs }
+ *   { type: 'list', ordered, items: [runs] }
+ *   { type: 'table', header: [runs], rows: [[runs]] }
+ * where runs are [{ text, bold, italics }].
+ */
+
+const ENTITIES = { '&amp;': '&', '&lt;': '<', '&gt;': '>', '&quot;': '"', '&#39;': "'" };
+
+function decode(text) {
+  return String(text || '').replace(/&(amp|lt|gt|quot|#39);/g, (entity) => ENTITIES[entity]);
+}
+
+function inlineRuns(tokens, style = {}) {
+  const runs = [];
+  (tokens || []).forEach((token) => {
+    switch (token.type) {
+      case 'strong':
+        runs.push(...inlineRuns(token.tokens, { ...style, bold: true }));
+        break;
+      case 'em':
+        runs.push(...inlineRuns(token.tokens, { ...style, italics: true }));
+        break;
+      case 'del':
+      case 'link':
+        runs.push(...inlineRuns(token.tokens, style));
+        break;
+      case 'br':
+        runs.push({ text: '\n', ...style });
+        break;
+      case 'text':
+        if (token.tokens) runs.push(...inlineRuns(token.tokens, style));
+        else runs.push({ text: decode(token.text), ...style });
+        break;
+      default:
+        // codespan, escape, html and anything else: keep the plain text
+        runs.push({ text: decode(token.text ?? token.raw), ...style });
+    }
+  });
+  return runs;
+}
+
+function listItemRuns(item) {
+  // Loose items wrap their text in paragraph tokens
+  return (item.tokens || []).flatMap((token) => (
+    token.type === 'text' || token.type === 'paragraph'
+      ? inlineRuns(token.tokens || [{ type: 'text', text: token.text }])
+      : []
+  ));
+}
+
+function toBlocks(tokens) {
+  const blocks = [];
+  (tokens || []).forEach((token) => {
+    switch (token.type) {
+      case 'heading':
+        blocks.push({ type: 'heading', depth: token.depth, runs: inlineRuns(token.tokens) });
+        break;
+      case 'paragraph':
+      case 'text':
+        blocks.push({ type: 'paragraph', runs: inlineRuns(token.tokens || [{ type: 'text', text: token.text }]) });
+        break;
+      case 'list':
+        blocks.push({ type: 'list', ordered: token.ordered, items: token.items.map(listItemRuns) });
+        // Nested lists are flattened after their parent
+        token.items.forEach((item) => {
+          blocks.push(...toBlocks((item.tokens || []).filter((t) => t.type === 'list')));
+        });
+        break;
+      case 'table':
+        blocks.push({
+          type: 'table',
+          header: token.header.map((cell) => inlineRuns(cell.tokens)),
+          rows: token.rows.map((row) => row.map((cell) => inlineRuns(cell.tokens)))
+        });
+        break;
+      case 'blockquote':
+        blocks.push(...toBlocks(token.tokens));
+        break;
+      case 'code':
+        blocks.push({ type: 'paragraph', runs: [{ text: token.text }] });
+        break;
+      default:
+        // space, hr, html: nothing to render
+        break;
+    }
+  });
+  return blocks;
+}
+
+function markdownToBlocks(markdown) {
+  return toBlocks(marked.lexer(String(markdown || '')));
+}
+
+/**
+ * Plain text of a list of runs.
+ */
+function runsText(runs) {
+  return (runs || []).map((r) => r.text).join('');
+}
+
+module.exports = {
+  markdownToBlocks,
+  runsText
+};
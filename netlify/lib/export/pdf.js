@@ -0,0 +1,357 @@
+/************************************************
+ * netlify/lib/export/pdf.js
+ ************************************************/
+const PDFDocument = require('pdfkit');
+const { safeString } = require('../utils');
+const { figureCaption } = require('../photos');
+const { markdownToBlocks, runsText } = require('./markdown');
+
+/**
+ * Print-ready PDF of a compiled report:
+ * - firm letterhead on the first page (FIRM_NAME, FIRM_ADDRESS, FIRM_PHONE,
+ *   FIRM_EMAIL, FIRM_WEBSITE environment variables)
+ * - running header (project name, claim number) and footer (page X of Y)
+ * - the "tableOfContents" section (HTML links) replaced by a table of
+ *   contents with the real page of each section
+ * - signature block with the engineer's signature and PE seal images
+ * - photo appendix with one captioned figure per photo
+ *
+ * Pages are buffered so the TOC, headers and footers are written once the
+ * page count is known.
+ */
+const FONTS = {
+  regular: 'Helvetica',
+  bold: 'Helvetica-Bold',
+  italic: 'Helvetica-Oblique',
+  boldItalic: 'Helvetica-BoldOblique'
+};
+const MARGIN = 72;
+const BODY_SIZE = 11;
+const HEADING_SIZES = [16, 13, 12, 11, 11, 11];
+const RULE_COLOR = '#999999';
+const MUTED_COLOR = '#555555';
+// Start a new page rather than leave a heading this close to the bottom
+const MIN_SPACE_AFTER_HEADING = 60;
+// Largest photo height in the appendix, in points
+const PHOTO_HEIGHT = 260;
+
+function letterheadFromEnv() {
+  return {
+    name: safeString(process.env.FIRM_NAME).trim(),
+    lines: [
+      process.env.FIRM_ADDRESS,
+      [process.env.FIRM_PHONE, process.env.FIRM_EMAIL, process.env.FIRM_WEBSITE]
+        .map((v) => safeString(v).trim())
+        .filter(Boolean)
+        .join('  |  ')
+    ].map((v) => safeString(v).trim()).filter(Boolean)
+  };
+}
+
+function fontFor(run) {
+  if (run.bold && run.italics) return FONTS.boldItalic;
+  if (run.bold) return FONTS.bold;
+  if (run.italics) return FONTS.italic;
+  return FONTS.regular;
+}
+
+function contentWidth(doc) {
+  return doc.page.width - doc.page.margins.left - doc.page.margins.right;
+}
+
+function pageBottom(doc) {
+  return doc.page.height - doc.page.margins.bottom;
+}
+
+function ensureSpace(doc, height) {
+  if (doc.y + height > pageBottom(doc)) doc.addPage();
+}
+
+/**
+ * Write styled runs as one flowing paragraph. The first call positions
+ * the text; the rest continue it.
+ */
+function writeRuns(doc, runs, x, options = {}) {
+  const pieces = runs.filter((run) => run.text !== '');
+  if (pieces.length === 0) return;
+
+  pieces.forEach((run, i) => {
+    doc.font(fontFor(run)).fontSize(options.size || BODY_SIZE);
+    const textOptions = { ...options, continued: i < pieces.length - 1 };
+    if (i === 0) doc.text(run.text, x, doc.y, textOptions);
+    else doc.text(run.text, textOptions);
+  });
+}
+
+function drawLetterhead(doc, letterhead) {
+  if (!letterhead.name && letterhead.lines.length === 0) return;
+  const x = doc.page.margins.left;
+  const width = contentWidth(doc);
+
+  if (letterhead.name) {
+    doc.font(FONTS.bold).fontSize(18).fillColor('black')
+      .text(letterhead.name, x, doc.y, { width, align: 'center' });
+  }
+  letterhead.lines.forEach((line) => {
+    doc.font(FONTS.regular).fontSize(9).fillColor(MUTED_COLOR)
+      .text(line, x, doc.y, { width, align: 'center' });
+  });
+  doc.fillColor('black');
+  doc.moveDown(0.5);
+  doc.moveTo(x, doc.y).lineTo(x + width, doc.y).lineWidth(1).strokeColor(RULE_COLOR).stroke();
+  doc.moveDown(1.5);
+}
+
+function drawHeading(doc, runs, depth) {
+  ensureSpace(doc, MIN_SPACE_AFTER_HEADING);
+  doc.moveDown(depth === 0 ? 0 : 0.5);
+  writeRuns(doc, runs.map((run) => ({ ...run, bold: true })), doc.page.margins.left, {
+    size: HEADING_SIZES[Math.min(depth, HEADING_SIZES.length - 1)],
+    width: contentWidth(doc)
+  });
+  doc.moveDown(0.5);
+}
+
+function drawList(doc, block) {
+  const left = doc.page.margins.left;
+  const textX = left + 24;
+  block.items.forEach((runs, i) => {
+    ensureSpace(doc, BODY_SIZE * 2);
+    const top = doc.y;
+    doc.font(FONTS.regular).fontSize(BODY_SIZE)
+      .text(block.ordered ? `${i + 1}.` : '•', left + 6, top, { width: 16, lineBreak: false });
+    doc.y = top;
+    writeRuns(doc, runs, textX, { width: contentWidth(doc) - 24 });
+    doc.moveDown(0.25);
+  });
+  doc.moveDown(0.5);
+}
+
+function drawTable(doc, block) {
+  const left = doc.page.margins.left;
+  const columns = Math.max(block.header.length, ...block.rows.map((row) => row.length));
+  const columnWidth = contentWidth(doc) / columns;
+  const padding = 4;
+  const size = BODY_SIZE - 2;
+
+  const drawRow = (cells, isHeader) => {
+    const texts = Array.from({ length: columns }, (_, i) => runsText(cells[i] || []));
+    doc.font(isHeader ? FONTS.bold : FONTS.regular).fontSize(size);
+    const height = Math.max(...texts.map((text) => doc.heightOfString(text || ' ', { width: columnWidth - padding * 2 }))) + padding * 2;
+
+    ensureSpace(doc, height);
+    const top = doc.y;
+    texts.forEach((text, i) => {
+      const x = left + i * columnWidth;
+      if (isHeader) doc.rect(x, top, columnWidth, height).fillColor('#eeeeee').fill();
+      doc.rect(x, top, columnWidth, height).lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+      doc.fillColor('black').font(isHeader ? FONTS.bold : FONTS.regular).fontSize(size)
+        .text(text, x + padding, top + padding, { width: columnWidth - padding * 2 });
+    });
+    doc.y = top + height;
+  };
+
+  drawRow(block.header, true);
+  block.rows.forEach((row) => drawRow(row, false));
+  doc.x = left;
+  doc.moveDown(1);
+}
+
+function drawBlocks(doc, blocks) {
+  blocks.forEach((block) => {
+    switch (block.type) {
+      case 'heading':
+        // Markdown headings sit one level below the section heading
+        drawHeading(doc, block.runs, block.depth);
+        break;
+      case 'list':
+        drawList(doc, block);
+        break;
+      case 'table':
+        drawTable(doc, block);
+        break;
+      default:
+        writeRuns(doc, block.runs, doc.page.margins.left, { width: contentWidth(doc), align: 'justify' });
+        doc.moveDown(0.75);
+    }
+  });
+}
+
+function drawSignature(doc, context, profile) {
+  const left = doc.page.margins.left;
+  const name = safeString(context?.engineerName).trim();
+  const license = safeString(context?.engineerLicense).trim();
+  const contact = [safeString(context?.engineerEmail).trim(), safeString(context?.engineerPhone).trim()]
+    .filter(Boolean).join('  |  ');
+
+  ensureSpace(doc, 200);
+  doc.moveDown(1);
+  doc.font(FONTS.regular).fontSize(BODY_SIZE).text('Respectfully submitted,', left, doc.y);
+  doc.moveDown(0.5);
+
+  const top = doc.y;
+  if (profile?.sealImage) {
+    doc.image(profile.sealImage, left + 260, top, { fit: [110, 110] });
+  }
+  if (profile?.signatureImage) {
+    doc.image(profile.signatureImage, left, top, { fit: [180, 60] });
+    doc.y = top + 64;
+  } else {
+    doc.y = top + 40;
+  }
+
+  if (name) doc.font(FONTS.bold).text(`${name}, P.E.`, left, doc.y);
+  doc.font(FONTS.regular);
+  if (license) doc.text(`License No. ${license}`, left, doc.y);
+  if (contact) doc.text(contact, left, doc.y);
+  doc.y = Math.max(doc.y, top + 110);
+}
+
+function drawPhotoAppendix(doc, photos) {
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  photos.forEach((photo) => {
+    const caption = figureCaption(photo);
+    doc.font(FONTS.italic).fontSize(BODY_SIZE - 1);
+    ensureSpace(doc, PHOTO_HEIGHT + doc.heightOfString(caption, { width }) + 24);
+
+    const top = doc.y;
+    doc.image(photo.buffer, left, top, { fit: [width, PHOTO_HEIGHT], align: 'center' });
+    doc.y = top + PHOTO_HEIGHT + 6;
+    doc.text(caption, left, doc.y, { width, align: 'center' });
+    doc.moveDown(1.5);
+  });
+}
+
+function drawTableOfContents(doc, entries, toc) {
+  doc.switchToPage(toc.page);
+  const left = doc.page.margins.left;
+  const width = contentWidth(doc);
+  doc.y = toc.y;
+
+  doc.font(FONTS.bold).fontSize(HEADING_SIZES[0]).text('Table of Contents', left, doc.y);
+  doc.moveDown(1);
+
+  doc.font(FONTS.regular).fontSize(BODY_SIZE);
+  entries.forEach((entry) => {
+    const pageLabel = String(entry.page + 1);
+    const numberWidth = doc.widthOfString(pageLabel);
+    const titleWidth = doc.widthOfString(entry.title);
+    const dots = '.'.repeat(Math.max(Math.floor((width - titleWidth - numberWidth - 12) / doc.widthOfString('.')), 3));
+    const top = doc.y;
+
+    doc.text(`${entry.title} ${dots}`, left, top, { width: width - numberWidth - 4, lineBreak: false, goTo: entry.id });
+    doc.text(pageLabel, left, top, { width, align: 'right', goTo: entry.id });
+    doc.moveDown(0.5);
+  });
+}
+
+function drawPageFurniture(doc, context, letterhead) {
+  const range = doc.bufferedPageRange();
+  const header = [
+    safeString(context?.projectName).trim(),
+    safeString(context?.claimNumber).trim() && `Claim No. ${safeString(context.claimNumber).trim()}`
+  ].filter(Boolean).join('  |  ');
+
+  for (let i = range.start; i < range.start + range.count; i += 1) {
+    doc.switchToPage(i);
+    const left = doc.page.margins.left;
+    const width = contentWidth(doc);
+    // Writing inside the margins would otherwise add pages
+    const { top, bottom } = doc.page.margins;
+    doc.page.margins.top = 0;
+    doc.page.margins.bottom = 0;
+
+    doc.font(FONTS.regular).fontSize(8).fillColor(MUTED_COLOR);
+    // The first page carries the letterhead instead of the running header
+    if (i > range.start && header) {
+      doc.text(header, left, 40, { width, align: 'right', lineBreak: false });
+      doc.moveTo(left, 52).lineTo(left + width, 52).lineWidth(0.5).strokeColor(RULE_COLOR).stroke();
+    }
+    const footerY = doc.page.height - 48;
+    if (letterhead.name) {
+      doc.text(letterhead.name, left, footerY, { width, align: 'left', lineBreak: false });
+    }
+    doc.text(`Page ${i - range.start + 1} of ${range.count}`, left, footerY, { width, align: 'right', lineBreak: false });
+
+    doc.page.margins.top = top;
+    doc.page.margins.bottom = bottom;
+    doc.fillColor('black');
+  }
+}
+
+/**
+ * sections: [{ id, title, content }] in report order.
+ * profile: { signatureImage, sealImage } as Buffers (optional).
+ * photos: figures for the "photoAppendix" section, with file buffers
+ * (see lib/photos.js downloadPhotos). Without them the appendix is
+ * rendered from its markdown (captions only).
+ * Returns a Buffer with the .pdf file.
+ */
+function buildPdf({ sections, context, profile, photos = [] }) {
+  return new Promise((resolve, reject) => {
+    const letterhead = letterheadFromEnv();
+    const doc = new PDFDocument({
+      size: 'LETTER',
+      margin: MARGIN,
+      bufferPages: true,
+      info: {
+        Title: safeString(context?.projectName) || 'Forensic Engineering Report',
+        Author: safeString(context?.engineerName) || letterhead.name || undefined
+      }
+    });
+
+    const chunks = [];
+    doc.on('data', (chunk) => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+
+    try {
+      drawLetterhead(doc, letterhead);
+
+      const currentPage = () => doc.bufferedPageRange().start + doc.bufferedPageRange().count - 1;
+      let toc = null;
+      let signed = false;
+      const tocEntries = [];
+      sections.forEach((section, index) => {
+        const isAppendix = section.id === 'photoAppendix';
+        // The report is signed before its appendix
+        if (isAppendix && !signed) {
+          drawSignature(doc, context, profile);
+          signed = true;
+        }
+
+        // The TOC, the appendix, and whatever follows the opening letter or the TOC, start a new page
+        const previous = index > 0 ? sections[index - 1].id : null;
+        if (previous && (section.id === 'tableOfContents' || isAppendix || ['openingLetter', 'tableOfContents'].includes(previous))) {
+          doc.addPage();
+        }
+
+        if (section.id === 'tableOfContents') {
+          // Filled in once every section's page is known
+          toc = { page: currentPage(), y: doc.y };
+          return;
+        }
+
+        ensureSpace(doc, MIN_SPACE_AFTER_HEADING);
+        doc.addNamedDestination(section.id);
+        tocEntries.push({ id: section.id, title: section.title, page: currentPage() });
+        drawHeading(doc, [{ text: section.title }], 0);
+        if (isAppendix && photos.length > 0) drawPhotoAppendix(doc, photos);
+        else drawBlocks(doc, markdownToBlocks(section.content));
+      });
+
+      if (!signed) drawSignature(doc, context, profile);
+
+      if (toc) drawTableOfContents(doc, tocEntries, toc);
+      drawPageFurniture(doc, context, letterhead);
+      doc.end();
+    } catch (err) {
+      reject(err);
+    }
+  });
+}
+
+module.exports = {
+  buildPdf
+};
@@ -0,0 +1,53 @@
+/************************************************
+ * netlify/lib/export/store.js
+ ************************************************/
+const { randomUUID } = require('crypto');
+
+/**
+ * Exported documents in the private "report-exports" storage bucket.
+ * A report with its photos is larger than a function response may be, so
+ * the file is stored and the browser downloads it from a signed URL.
+ */
+const BUCKET = 'report-exports';
+const SIGNED_URL_SECONDS = 10 * 60;
+
+/**
+ * Store an exported file under the user's folder, replacing their earlier
+ * exports. Returns a signed URL that downloads it as `fileName`.
+ */
+async function storeExport(supabase, { userId, fileName, contentType, buffer }) {
+  const { data: earlier, error: listError } = await supabase.storage
+    .from(BUCKET)
+    .list(userId);
+  if (listError) {
+    console.error('Error listing earlier exports:', listError);
+  } else if (earlier?.length) {
+    // A failed cleanup only leaves old files behind
+    const { error: removeError } = await supabase.storage
+      .from(BUCKET)
+      .remove(earlier.map((file) => `${userId}/${file.name}`));
+    if (removeError) console.error('Error removing earlier exports:', removeError);
+  }
+
+  const storagePath = `${userId}/${randomUUID()}-${fileName}`;
+  const { error: uploadError } = await supabase.storage
+    .from(BUCKET)
+    .upload(storagePath, buffer, { contentType });
+  if (uploadError) {
+    console.error('Error storing export:', uploadError);
+    throw new Error('Could not store the exported file.');
+  }
+
+  const { data, error } = await supabase.storage
+    .from(BUCKET)
+    .createSignedUrl(storagePath, SIGNED_URL_SECONDS, { download: fileName });
+  if (error) {
+    console.error('Error signing export URL:', error);
+    throw new Error('Could not create a download link for the exported file.');
+  }
+  return data.signedUrl;
+}
+
+module.exports = {
+  storeExport
+};
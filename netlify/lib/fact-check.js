@@ -0,0 +1,257 @@
+/************************************************
+ * netlify/lib/fact-check.js
+ ************************************************/
+const { safeString } = require('./utils');
+
+/**
+ * Facts in a generated section that contradict the form inputs: dates,
+ * street addresses, claim types, roof materials, square footage and
+ * floor references. Each violation is
+ * { check, start, end, text, message }, with start/end the character
+ * offsets of the flagged text in the section's markdown.
+ */
+
+// Roof materials and the form checkbox that allows mentioning them. Only
+// roofing wording counts: "PVC plumbing vents" or "metal wall panels" are not
+// a roof system.
+const ROOF_MATERIAL_TERMS = [
+  { flag: 'roofMetalChecked', pattern: /\b(metal roof(s|ing)?( panels?)?|standing[- ]seam|PBR panels?)\b/i, label: 'metal roofing' },
+  { flag: 'roofCompChecked', pattern: /\b(composition|asphalt|3-tab|laminated) shingles?\b/i, label: 'composition shingles' },
+  { flag: 'roofSinglePlyChecked', pattern: /\b(TPO|EPDM|single[- ]ply|PVC (membrane|roof(ing)?))\b/i, label: 'single-ply membrane' },
+  { flag: 'roofModBitChecked', pattern: /\b(modified bitumen|mod-bit)\b/i, label: 'modified bitumen' },
+  { flag: 'roofBURChecked', pattern: /\b(built[- ]up roof(ing)?|gravel ballast|BUR)\b/i, label: 'built-up roofing' },
+  { flag: 'roofClayTileChecked', pattern: /\bclay tiles?\b/i, label: 'clay tile' },
+  { flag: 'roofConcreteTileChecked', pattern: /\bconcrete tiles?\b/i, label: 'concrete tile' }
+];
+
+const UPPER_FLOOR_PATTERN = /\b(second|third|upper|top) (floor|story|storey|level)\b|\bupstairs\b|\b(two|three|multi)[- ]stor(y|ey|ies)\b/i;
+
+const STORY_COUNT_PATTERN = /\b(single|one|two|three|four|[1-9])[- ]stor(?:y|ey)\b/gi;
+const STORY_COUNTS = { single: 1, one: 1, two: 2, three: 3, four: 4 };
+
+const CLAIM_TYPES = ['hail', 'wind', 'foundation'];
+
+const MONTHS = ['january', 'february', 'march', 'april', 'may', 'june', 'july',
+  'august', 'september', 'october', 'november', 'december'];
+
+// "October 19, 2026", "Oct. 19, 2026", "10/19/2026" and "2026-10-19"
+const DATE_PATTERN = new RegExp(
+  `\\b(?:(${MONTHS.map((m) => `${m.slice(0, 3)}${m.slice(3) ? `(?:${m.slice(3)}|\\.)?` : ''}`).join('|')})\\s+(\\d{1,2}),?\\s+(\\d{4})` +
+  '|(\\d{1,2})/(\\d{1,2})/(\\d{4})' +
+  '|(\\d{4})-(\\d{2})-(\\d{2}))\\b',
+  'gi'
+);
+
+const LOSS_DATE_CUE = /\b(date of loss|DOL|loss occurred|storm (event )?(occurred|of|on)|(hail|wind)storm (occurred|of|on))\b/gi;
+const INSPECTION_DATE_CUE = /\b(inspect(ion|ed)?|investigat(ion|ed)|site visit|visited)\b/gi;
+
+const STREET_SUFFIXES = 'Street|St|Avenue|Ave|Road|Rd|Drive|Dr|Lane|Ln|Boulevard|Blvd|Court|Ct|Way|Parkway|Pkwy|Place|Pl|Circle|Cir|Trail|Trl|Highway|Hwy';
+const ADDRESS_PATTERN = new RegExp(`\\b(\\d{1,6})\\s+((?:[A-Z0-9][\\w'-]*\\s+){0,4}?(?:${STREET_SUFFIXES}))\\b`, 'g');
+
+const AREA_PATTERN = /\b(\d{1,3}(?:,\d{3})+|\d+)(?:\.\d+)?[\s-]*(?:square[- ]f(?:ee|oo)t|sq\.?\s*ft\.?|SF)(?![\w])/gi;
+// Mentions below this are patches and test squares, not the building
+const MIN_BUILDING_AREA = 500;
+const BUILDING_AREA_CUE = /\b(building|home|house|residence|structure|dwelling|living area|floor area|heated area|footprint)\b/i;
+const ROOF_AREA_CUE = /\broof/i;
+const AREA_TOLERANCE = 0.05;
+
+function pad(n) {
+  return String(n).padStart(2, '0');
+}
+
+function isoDate(year, month, day) {
+  const date = new Date(Date.UTC(+year, +month - 1, +day));
+  if (isNaN(date.getTime()) || date.getUTCDate() !== +day) return null;
+  return `${year}-${pad(month)}-${pad(day)}`;
+}
+
+// ISO dates written in the text, with their spans
+function findDates(text) {
+  return [...text.matchAll(DATE_PATTERN)].map((m) => {
+    let iso = null;
+    if (m[1]) iso = isoDate(m[3], MONTHS.findIndex((name) => name.startsWith(m[1].slice(0, 3).toLowerCase())) + 1, m[2]);
+    else if (m[4]) iso = isoDate(m[6], m[4], m[5]);
+    else iso = isoDate(m[7], m[8], m[9]);
+    return iso && { iso, start: m.index, end: m.index + m[0].length, text: m[0] };
+  }).filter(Boolean);
+}
+
+// The sentence before position `end`, as far back as `limit` characters
+function sentenceBefore(text, end, limit = 120) {
+  const window = text.slice(Math.max(0, end - limit), end);
+  const boundary = Math.max(window.lastIndexOf('\n'), window.search(/[.!?]\s+(?=[^.!?]*$)/));
+  return boundary >= 0 ? window.slice(boundary + 1) : window;
+}
+
+function lastIndexOfPattern(text, pattern) {
+  let last = -1;
+  for (const m of text.matchAll(pattern)) last = m.index;
+  return last;
+}
+
+function checkDates(text, context, weatherData, today) {
+  const dateOfLoss = safeString(context?.dateOfLoss) || safeString(context?.dol);
+  const investigationDate = safeString(context?.investigationDate);
+
+  // Any date that appears in the inputs or the weather data may be cited
+  const known = new Set([today]);
+  [JSON.stringify(context || {}), JSON.stringify(weatherData || {})].forEach((source) => {
+    findDates(source).forEach((d) => known.add(d.iso));
+  });
+
+  return findDates(text).flatMap((date) => {
+    const violation = (message) => [{ check: 'date', start: date.start, end: date.end, text: date.text, message }];
+    if (!known.has(date.iso)) {
+      return violation('This date is not in the inputs or the weather data.');
+    }
+
+    // The nearer of the two cues decides which date the sentence means
+    const before = sentenceBefore(text, date.start);
+    const lossCue = lastIndexOfPattern(before, LOSS_DATE_CUE);
+    const inspectionCue = lastIndexOfPattern(before, INSPECTION_DATE_CUE);
+    if (lossCue > inspectionCue && date.iso === investigationDate && date.iso !== dateOfLoss) {
+      return violation('The Inspection Date is given as the Date of Loss.');
+    }
+    if (inspectionCue > lossCue && date.iso === dateOfLoss && date.iso !== investigationDate) {
+      return violation('The Date of Loss is given as the Inspection Date.');
+    }
+    return [];
+  });
+}
+
+function normalizeAddress(text) {
+  return safeString(text).toLowerCase().replace(/[^a-z0-9]+/g, ' ').trim();
+}
+
+// A street address counts as the property's when its number and first
+// street word appear in the inputs (suffixes are abbreviated either way)
+function checkAddresses(text, context) {
+  if (!safeString(context?.address).trim()) return [];
+  const inputs = ` ${normalizeAddress(JSON.stringify(context))} `;
+
+  return [...text.matchAll(ADDRESS_PATTERN)].flatMap((m) => {
+    const firstWord = normalizeAddress(m[2]).split(' ')[0];
+    if (inputs.includes(` ${m[1]} ${firstWord} `)) return [];
+    return [{
+      check: 'address',
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      message: `This address differs from the property address (${context.address}).`
+    }];
+  });
+}
+
+function checkClaimTypes(text, context) {
+  const claimTypes = (context?.claimType || []).map((c) => String(c).toLowerCase());
+  return CLAIM_TYPES
+    .filter((type) => !claimTypes.includes(type))
+    .flatMap((type) => [...text.matchAll(new RegExp(`\\b${type}(?:[- ]related)? claims?\\b`, 'gi'))].map((m) => ({
+      check: 'claimType',
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      message: `Refers to a ${type} claim, which was not selected on the form.`
+    })));
+}
+
+function checkRoofMaterials(text, context) {
+  return ROOF_MATERIAL_TERMS
+    .filter(({ flag }) => !context?.[flag])
+    .flatMap(({ pattern, label }) => [...text.matchAll(new RegExp(pattern.source, 'gi'))].map((m) => ({
+      check: 'roofMaterial',
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      message: `Mentions ${label}, which was not selected on the form.`
+    })));
+}
+
+function checkSquareFootage(text, context) {
+  const stated = parseFloat(safeString(String(context?.squareFootage ?? '')).replace(/,/g, ''));
+
+  return [...text.matchAll(AREA_PATTERN)].flatMap((m) => {
+    const value = parseFloat(m[1].replace(/,/g, ''));
+    // "the 2,400 square foot residence" names the building after the figure
+    const after = (text.slice(m.index + m[0].length).match(/^(?:[\s,]+[\w-]+){0,3}/) || [''])[0];
+    const sentence = `${sentenceBefore(text, m.index)} ${after}`;
+    if (value < MIN_BUILDING_AREA || !BUILDING_AREA_CUE.test(sentence) || ROOF_AREA_CUE.test(sentence)) return [];
+    if (stated > 0 && Math.abs(value - stated) <= stated * AREA_TOLERANCE) return [];
+    return [{
+      check: 'squareFootage',
+      start: m.index,
+      end: m.index + m[0].length,
+      text: m[0],
+      message: stated > 0
+        ? `The form gives the building as ${stated.toLocaleString('en-US')} square feet.`
+        : 'The square footage was not given on the form.'
+    }];
+  });
+}
+
+function checkFloors(text, context) {
+  const stories = parseInt(context?.stories, 10) || null;
+  const multiStory = stories > 1 || UPPER_FLOOR_PATTERN.test(safeString(context?.engineerNotes));
+  const found = [];
+
+  [...text.matchAll(STORY_COUNT_PATTERN)].forEach((m) => {
+    const count = STORY_COUNTS[m[1].toLowerCase()] || parseInt(m[1], 10);
+    if (stories ? count !== stories : count > 1 && !multiStory) {
+      found.push({
+        check: 'floors',
+        start: m.index,
+        end: m.index + m[0].length,
+        text: m[0],
+        message: stories
+          ? `The form gives the building as ${stories} ${stories === 1 ? 'story' : 'stories'}.`
+          : 'The building was not indicated as multi-story.'
+      });
+    }
+  });
+
+  if (!multiStory) {
+    [...text.matchAll(new RegExp(UPPER_FLOOR_PATTERN.source, 'gi'))].forEach((m) => {
+      found.push({
+        check: 'floors',
+        start: m.index,
+        end: m.index + m[0].length,
+        text: m[0],
+        message: 'Mentions an upper floor, but the building was not indicated as multi-story.'
+      });
+    });
+  }
+  return found;
+}
+
+/**
+ * Check a section against the form context and the weather data it was
+ * written from. Returns the violations in text order; where two overlap
+ * only the first is kept. `today` (YYYY-MM-DD) is the report's own date.
+ */
+function checkFacts(text, context, weatherData, { today } = {}) {
+  const body = safeString(text);
+  const now = new Date();
+  const reportDate = today || `${now.getFullYear()}-${pad(now.getMonth() + 1)}-${pad(now.getDate())}`;
+
+  const violations = [
+    ...checkDates(body, context, weatherData, reportDate),
+    ...checkAddresses(body, context),
+    ...checkClaimTypes(body, context),
+    ...checkRoofMaterials(body, context),
+    ...checkSquareFootage(body, context),
+    ...checkFloors(body, context)
+  ].sort((a, b) => a.start - b.start || b.end - a.end);
+
+  let lastEnd = -1;
+  return violations.filter((v) => {
+    if (v.start < lastEnd) return false;
+    lastEnd = v.end;
+    return true;
+  });
+}
+
+module.exports = {
+  ROOF_MATERIAL_TERMS,
+  UPPER_FLOOR_PATTERN,
+  checkFacts
+};
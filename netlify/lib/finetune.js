@@ -0,0 +1,600 @@
+/************************************************
+ * netlify/lib/finetune.js
+ ************************************************/
+const fs = require('fs');
+const { v4: uuidv4 } = require('uuid');
+const {
+  DEFAULT_MODEL,
+  getSetting,
+  setSetting,
+  getActiveModel,
+  recordJob,
+  updateJob,
+  registerModel
+} = require('./model-registry');
+const { triggerEvaluation } = require('./evaluation');
+
+/**
+ * Starting and polling fine-tune jobs. Used by fine-tune.js (manual),
+ * check-finetune-status.js and the scheduled finetune-poller.js, which
+ * also starts jobs automatically.
+ *
+ * - Only one job runs at a time: `current_finetune_job_id` is set while a
+ *   job is running and a new one is refused until it has finished.
+ * - Job creation holds the `finetune_lock` row in app_settings, so two
+ *   requests arriving together cannot both start a job.
+ * - training_data rows are pending until a job is started with them
+ *   (`finetune_job_id` is null). Rows that arrive while a job runs stay
+ *   pending, and rows of a failed job become pending again.
+ * - Each job continues from the active model, so rows the active model
+ *   never learned (its job's model was rejected or rolled back) become
+ *   pending again too (see requeueUnlearnedRows).
+ * - `finetune_trigger` decides when pending rows start a job automatically:
+ *   { mode: 'rows', rows } -> once `rows` rows are pending
+ *   { mode: 'time', hours } -> every `hours` hours if anything is pending
+ *   { mode: 'manual' } -> only from the Model Registry panel
+ */
+const LOCK_KEY = 'finetune_lock';
+const LOCK_TTL_MS = 10 * 60 * 1000;
+const TRIGGER_KEY = 'finetune_trigger';
+const TRIGGER_MODES = ['rows', 'time', 'manual'];
+const DEFAULT_TRIGGER = { mode: 'rows', rows: 5, hours: 168 };
+const FINISHED_STATUSES = ['succeeded', 'failed', 'cancelled'];
+
+/**
+ * Turn training_data rows into chat fine-tuning examples, one per section.
+ * Each example uses the exact system and user prompts that generate-report
+ * sent for that section, and the accepted section text as the target.
+ * Rows stored before prompts were recorded (no `sections`) are skipped.
+ */
+function buildSectionExamples(rows) {
+  const examples = [];
+  rows.forEach((r) => {
+    const sections = r.report_json?.sections;
+    if (!Array.isArray(sections)) return;
+
+    sections.forEach((sec) => {
+      if (!sec?.system || !sec?.user || !sec?.output) return;
+      examples.push({
+        messages: [
+          { role: 'system', content: sec.system },
+          { role: 'user', content: sec.user },
+          { role: 'assistant', content: sec.output }
+        ]
+      });
+    });
+  });
+  return examples;
+}
+
+/**
+ * Turn preference pairs ({ system_prompt, user_prompt, rejected_output,
+ * chosen_output }) into preference-format (DPO) examples.
+ * The input is the section prompt without the regeneration instructions,
+ * the preferred output is the regenerated or edited text and the rejected one
+ * the original.
+ */
+function buildPreferenceExamples(pairs) {
+  return pairs
+    .filter((p) => p.system_prompt && p.user_prompt && p.chosen_output && p.rejected_output)
+    .map((p) => ({
+      input: {
+        messages: [
+          { role: 'system', content: p.system_prompt },
+          { role: 'user', content: p.user_prompt }
+        ]
+      },
+      preferred_output: [
+        { role: 'assistant', content: p.chosen_output }
+      ],
+      non_preferred_output: [
+        { role: 'assistant', content: p.rejected_output }
+      ]
+    }));
+}
+
+/**
+ * Insert the lock row. A unique-key violation means someone else holds it;
+ * a lock older than LOCK_TTL_MS is left over from a crashed run and is replaced.
+ * Returns the lock value to pass to releaseLock, or null.
+ */
+async function acquireLock(supabase, owner) {
+  const value = JSON.stringify({ owner, acquiredAt: new Date().toISOString() });
+
+  for (let attempt = 0; attempt < 2; attempt++) {
+    const { error } = await supabase
+      .from('app_settings')
+      .insert({ key: LOCK_KEY, value });
+
+    if (!error) return value;
+    if (error.code !== '23505') {
+      console.error('Error acquiring fine-tune lock:', error);
+      return null;
+    }
+
+    const held = await getSetting(supabase, LOCK_KEY);
+    let acquiredAt = 0;
+    try {
+      acquiredAt = Date.parse(JSON.parse(held).acquiredAt) || 0;
+    } catch (parseErr) {
+      // Unreadable lock, treat it as stale
+    }
+    if (Date.now() - acquiredAt < LOCK_TTL_MS) return null;
+
+    console.warn('Replacing stale fine-tune lock:', held);
+    await supabase
+      .from('app_settings')
+      .delete()
+      .eq('key', LOCK_KEY)
+      .eq('value', held);
+  }
+  return null;
+}
+
+async function releaseLock(supabase, value) {
+  const { error } = await supabase
+    .from('app_settings')
+    .delete()
+    .eq('key', LOCK_KEY)
+    .eq('value', value);
+
+  if (error) {
+    console.error('Error releasing fine-tune lock:', error);
+  }
+}
+
+async function getTriggerConfig(supabase) {
+  const stored = await getSetting(supabase, TRIGGER_KEY);
+  try {
+    return { ...DEFAULT_TRIGGER, ...(stored ? JSON.parse(stored) : {}) };
+  } catch (parseErr) {
+    console.error('Invalid finetune_trigger setting, using the default:', stored);
+    return { ...DEFAULT_TRIGGER };
+  }
+}
+
+/**
+ * Validate and save the trigger. Throws on invalid input.
+ */
+async function setTriggerConfig(supabase, { mode, rows, hours }) {
+  if (!TRIGGER_MODES.includes(mode)) {
+    throw new Error(`Trigger mode must be one of ${TRIGGER_MODES.join(', ')}.`);
+  }
+  const current = await getTriggerConfig(supabase);
+  const config = {
+    mode,
+    rows: rows === undefined ? current.rows : Number(rows),
+    hours: hours === undefined ? current.hours : Number(hours)
+  };
+  if (!Number.isInteger(config.rows) || config.rows < 1) {
+    throw new Error('Row threshold must be a whole number of at least 1.');
+  }
+  if (!(config.hours > 0)) {
+    throw new Error('Interval must be a positive number of hours.');
+  }
+  await setSetting(supabase, TRIGGER_KEY, JSON.stringify(config));
+  return config;
+}
+
+async function countPendingRows(supabase) {
+  const { count, error } = await supabase
+    .from('training_data')
+    .select('id', { count: 'exact', head: true })
+    .is('finetune_job_id', null);
+
+  if (error) {
+    console.error('Error counting pending training rows:', error);
+    throw new Error('Failed to count pending training_data rows.');
+  }
+  return count || 0;
+}
+
+/**
+ * Upload a list of examples as a fine-tune JSONL file. Returns the file id.
+ */
+async function uploadJsonl(openai, prefix, examples) {
+  const fileName = `/tmp/${prefix}-${uuidv4()}.jsonl`;
+  fs.writeFileSync(fileName, examples.map((ex) => JSON.stringify(ex)).join('\n'), 'utf-8');
+  try {
+    const upload = await openai.files.create({
+      file: fs.createReadStream(fileName),
+      purpose: 'fine-tune'
+    });
+    return upload.id;
+  } finally {
+    try {
+      if (fs.existsSync(fileName)) fs.unlinkSync(fileName);
+    } catch (cleanupErr) {
+      console.warn('Failed to delete temp file:', cleanupErr);
+    }
+  }
+}
+
+/**
+ * Export preference_pairs, plus section_edits that have prompts (the
+ * engineer's edit preferred over the model's output), as preference JSONL
+ * next to the supervised file. A failure here should not stop the supervised job.
+ */
+async function exportPreferencePairs(supabase, openai) {
+  try {
+    const { data: pairs, error: pairsError } = await supabase
+      .from('preference_pairs')
+      .select('system_prompt, user_prompt, rejected_output, chosen_output')
+      .order('created_at', { ascending: true });
+
+    if (pairsError) {
+      console.error('Error fetching preference_pairs rows:', pairsError);
+      return { preferenceFileId: null, preferencePairCount: 0 };
+    }
+
+    const { data: edits, error: editsError } = await supabase
+      .from('section_edits')
+      .select('system_prompt, user_prompt, original_output, edited_output')
+      .not('system_prompt', 'is', null)
+      .order('created_at', { ascending: true });
+
+    if (editsError) {
+      // Regeneration pairs are still worth exporting on their own
+      console.error('Error fetching section_edits rows:', editsError);
+    }
+    const editPairs = (edits || []).map((e) => ({
+      system_prompt: e.system_prompt,
+      user_prompt: e.user_prompt,
+      rejected_output: e.original_output,
+      chosen_output: e.edited_output
+    }));
+
+    const preferenceExamples = buildPreferenceExamples([...(pairs || []), ...editPairs]);
+    if (preferenceExamples.length === 0) {
+      return { preferenceFileId: null, preferencePairCount: 0 };
+    }
+
+    const preferenceFileId = await uploadJsonl(openai, 'preference', preferenceExamples);
+    console.log(`Uploaded ${preferenceExamples.length} preference pairs to OpenAI with ID:`, preferenceFileId);
+    await setSetting(supabase, 'latest_preference_file_id', preferenceFileId);
+    return { preferenceFileId, preferencePairCount: preferenceExamples.length };
+  } catch (preferenceErr) {
+    console.error('Error exporting preference pairs:', preferenceErr);
+    return { preferenceFileId: null, preferencePairCount: 0 };
+  }
+}
+
+/**
+ * Start a fine-tune job from the pending training_data rows (those not yet
+ * used by a job), unless one is already running or being started. The job
+ * continues from the active model, which has already learned the older
+ * rows. Returns { started, reason?, message, ... } where reason is
+ * 'locked', 'running' or 'no-data' when nothing was started.
+ */
+async function startFineTune(supabase, openai, { trigger = 'manual', createdBy = null } = {}) {
+  const lock = await acquireLock(supabase, createdBy || trigger);
+  if (!lock) {
+    return {
+      started: false,
+      reason: 'locked',
+      message: 'Another fine-tune job is being started right now.'
+    };
+  }
+
+  try {
+    const runningJobId = await getSetting(supabase, 'current_finetune_job_id');
+    if (runningJobId) {
+      return {
+        started: false,
+        reason: 'running',
+        message: `Fine-tune job ${runningJobId} is still running. New training data stays queued for the next job.`
+      };
+    }
+
+    const { data: rows, error: fetchError } = await supabase
+      .from('training_data')
+      .select('id, report_json')
+      .is('finetune_job_id', null)
+      .order('created_at', { ascending: true });
+
+    if (fetchError) {
+      console.error('Error fetching training_data rows:', fetchError);
+      throw new Error('Could not retrieve training data from Supabase.');
+    }
+
+    const examples = buildSectionExamples(rows || []);
+    if (examples.length === 0) {
+      return {
+        started: false,
+        reason: 'no-data',
+        message: 'No new section-level training examples found. Nothing to fine-tune.'
+      };
+    }
+    console.log(`Built ${examples.length} section examples from ${rows.length} training_data rows.`);
+
+    const trainingFileId = await uploadJsonl(openai, 'fine-tune', examples);
+    console.log('Uploaded file to OpenAI with ID:', trainingFileId);
+
+    const { preferenceFileId, preferencePairCount } = await exportPreferencePairs(supabase, openai);
+
+    // Start from the model generate-report is currently using (pinned or
+    // active), so each job adds only the new rows to what it already learned
+    const baseModel = (await getActiveModel(supabase)) || DEFAULT_MODEL;
+    const fineTune = await openai.fineTuning.jobs.create({
+      model: baseModel,
+      training_file: trainingFileId
+    });
+    console.log(`Fine-tune job created, starting from model: ${baseModel}`, fineTune);
+
+    // Keep a history entry for every job (see models.js for the registry)
+    await recordJob(supabase, {
+      id: fineTune.id,
+      base_model: baseModel,
+      training_file_id: trainingFileId,
+      preference_file_id: preferenceFileId,
+      row_count: rows.length,
+      example_count: examples.length,
+      status: fineTune.status,
+      trigger,
+      created_by: createdBy
+    });
+
+    await setSetting(supabase, 'current_finetune_job_id', fineTune.id);
+    await setSetting(supabase, 'finetune_in_progress', 'true');
+
+    // Rows stored after the fetch above stay pending for the next job
+    const { error: markError } = await supabase
+      .from('training_data')
+      .update({ finetune_job_id: fineTune.id })
+      .in('id', rows.map((r) => r.id));
+
+    if (markError) {
+      console.error('Error marking training rows as used:', markError);
+    }
+
+    return {
+      started: true,
+      message: 'Fine-tune job started. The scheduled poller will pick up the result.',
+      fineTuneId: fineTune.id,
+      preferenceFileId,
+      preferencePairCount
+    };
+  } finally {
+    await releaseLock(supabase, lock);
+  }
+}
+
+/**
+ * Start a job if the configured trigger says so. `source` is recorded as
+ * the job's created_by. Never throws for "nothing to do".
+ */
+async function maybeTriggerFineTune(supabase, openai, { source = 'automatic' } = {}) {
+  const config = await getTriggerConfig(supabase);
+  if (config.mode === 'manual') {
+    return { started: false, reason: 'manual', message: 'Automatic fine-tuning is off.' };
+  }
+
+  const pending = await countPendingRows(supabase);
+  if (pending === 0) {
+    return { started: false, reason: 'no-data', message: 'No new training data.' };
+  }
+
+  if (config.mode === 'rows' && pending < config.rows) {
+    return {
+      started: false,
+      reason: 'threshold',
+      message: `${pending} of ${config.rows} training rows pending.`
+    };
+  }
+
+  if (config.mode === 'time') {
+    const { data: lastJob } = await supabase
+      .from('finetune_jobs')
+      .select('created_at')
+      .order('created_at', { ascending: false })
+      .limit(1)
+      .maybeSingle();
+
+    const hoursSince = lastJob
+      ? (Date.now() - Date.parse(lastJob.created_at)) / 3600000
+      : Infinity;
+    if (hoursSince < config.hours) {
+      return {
+        started: false,
+        reason: 'threshold',
+        message: `Last job started ${Math.floor(hoursSince)} of ${config.hours} hours ago.`
+      };
+    }
+  }
+
+  const trigger = config.mode === 'rows'
+    ? `Auto fine-tune at ${pending} pending rows`
+    : `Scheduled fine-tune (every ${config.hours} h, ${pending} pending rows)`;
+  return startFineTune(supabase, openai, { trigger, createdBy: source });
+}
+
+/**
+ * Clear current_finetune_job_id if it still points at this job.
+ * Returns true for the caller that cleared it, so a finished job is
+ * handled once even if several pollers see it at the same time.
+ */
+async function claimFinishedJob(supabase, jobId) {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .delete()
+    .eq('key', 'current_finetune_job_id')
+    .eq('value', jobId)
+    .select('key');
+
+  if (error) {
+    console.error('Error clearing current_finetune_job_id:', error);
+    return false;
+  }
+  if (!data || data.length === 0) return false;
+
+  await setSetting(supabase, 'finetune_in_progress', 'false');
+  return true;
+}
+
+// Longest chain of fine-tuned models walked back to the base model
+const MAX_LINEAGE_DEPTH = 100;
+
+/**
+ * Put training rows back in the queue when the model the next job starts
+ * from (pinned or active) was not trained on them: rows of jobs whose model
+ * was rejected, or was replaced by a rollback or a pin. Rows of the running
+ * job and of models still awaiting evaluation are left alone. Call this
+ * whenever the active model changes other than by promotion.
+ * Returns the number of rows queued again.
+ */
+async function requeueUnlearnedRows(supabase) {
+  // Jobs behind the active model, following each model's base model
+  const learned = new Set();
+  let modelId = await getActiveModel(supabase);
+  for (let depth = 0; modelId && depth < MAX_LINEAGE_DEPTH; depth++) {
+    const { data: model, error } = await supabase
+      .from('models')
+      .select('job_id, base_model')
+      .eq('id', modelId)
+      .maybeSingle();
+
+    if (error) {
+      console.error('Error reading model lineage:', error);
+      throw new Error('Could not read the model lineage.');
+    }
+    if (!model) break;
+    if (model.job_id) learned.add(model.job_id);
+    modelId = model.base_model;
+  }
+
+  const runningJobId = await getSetting(supabase, 'current_finetune_job_id');
+  if (runningJobId) learned.add(runningJobId);
+
+  const { data: candidates, error: candidateError } = await supabase
+    .from('models')
+    .select('job_id')
+    .eq('status', 'candidate')
+    .not('job_id', 'is', null);
+
+  if (candidateError) {
+    console.error('Error listing candidate models:', candidateError);
+    throw new Error('Could not list candidate models.');
+  }
+  (candidates || []).forEach((m) => learned.add(m.job_id));
+
+  const { data: jobs, error: jobsError } = await supabase
+    .from('finetune_jobs')
+    .select('id');
+
+  if (jobsError) {
+    console.error('Error listing fine-tune jobs:', jobsError);
+    throw new Error('Could not list fine-tune jobs.');
+  }
+  const unlearned = (jobs || []).map((j) => j.id).filter((id) => !learned.has(id));
+  if (unlearned.length === 0) return 0;
+
+  const { data: requeued, error: requeueError } = await supabase
+    .from('training_data')
+    .update({ finetune_job_id: null })
+    .in('finetune_job_id', unlearned)
+    .select('id');
+
+  if (requeueError) {
+    console.error('Error re-queueing training rows:', requeueError);
+    throw new Error('Could not queue the training rows again.');
+  }
+  if (requeued?.length) {
+    console.log(`Queued ${requeued.length} training rows again; the active model was not trained on them.`);
+  }
+  return requeued?.length || 0;
+}
+
+/**
+ * Check the running job with OpenAI and act on the result:
+ * - succeeded: register the model as a candidate and start its evaluation
+ * - failed / cancelled: put its training rows back in the queue
+ * Returns { status, message }.
+ */
+async function pollFineTuneStatus(supabase, openai) {
+  const jobId = await getSetting(supabase, 'current_finetune_job_id');
+  if (!jobId) {
+    return { status: null, message: 'No fine-tune job currently in progress.' };
+  }
+
+  const jobInfo = await openai.fineTuning.jobs.retrieve(jobId);
+  console.log('Retrieved job info:', jobInfo);
+  const jobStatus = jobInfo.status;
+
+  // Keep the job history in sync with OpenAI
+  const finished = FINISHED_STATUSES.includes(jobStatus);
+  await recordJob(supabase, {
+    id: jobId,
+    base_model: jobInfo.model,
+    training_file_id: jobInfo.training_file,
+    status: jobStatus,
+    error: jobInfo.error?.message || null,
+    fine_tuned_model: jobInfo.fine_tuned_model || null,
+    finished_at: finished && jobInfo.finished_at
+      ? new Date(jobInfo.finished_at * 1000).toISOString()
+      : null
+  });
+
+  if (!finished) {
+    return { status: jobStatus, message: `Job status = ${jobStatus}. Still in progress.` };
+  }
+
+  if (!(await claimFinishedJob(supabase, jobId))) {
+    return { status: jobStatus, message: `Fine-tune job ${jobId} was already handled.` };
+  }
+
+  if (jobStatus !== 'succeeded') {
+    console.error(`Fine-tune job ${jobStatus}:`, jobInfo);
+    const { error: requeueError } = await supabase
+      .from('training_data')
+      .update({ finetune_job_id: null })
+      .eq('finetune_job_id', jobId);
+
+    if (requeueError) {
+      console.error('Error re-queueing training rows:', requeueError);
+    }
+    return {
+      status: jobStatus,
+      message: `Fine-tune job ${jobStatus}. Its training data is queued again.`
+    };
+  }
+
+  const newModelName = jobInfo.fine_tuned_model;
+  console.log('Fine-tune job succeeded. New model is:', newModelName);
+
+  // Add it to the registry as a candidate. It only becomes the active
+  // model if it passes the evaluation gate (evaluate-model-background.js).
+  if (newModelName) {
+    try {
+      await registerModel(supabase, {
+        id: newModelName,
+        baseModel: jobInfo.model,
+        jobId,
+        status: 'candidate'
+      });
+      await updateJob(supabase, jobId, { evaluation_status: 'pending' });
+      await triggerEvaluation(jobId, newModelName);
+    } catch (registryErr) {
+      console.error('Error starting model evaluation:', registryErr);
+      await updateJob(supabase, jobId, {
+        evaluation_status: 'error',
+        error: `Could not start evaluation: ${registryErr.message}`
+      });
+    }
+  }
+
+  return {
+    status: jobStatus,
+    message: `Fine-tune succeeded. Model = ${newModelName}. Evaluation started before promotion.`
+  };
+}
+
+module.exports = {
+  TRIGGER_MODES,
+  getTriggerConfig,
+  setTriggerConfig,
+  countPendingRows,
+  startFineTune,
+  maybeTriggerFineTune,
+  requeueUnlearnedRows,
+  pollFineTuneStatus
+};
@@ -0,0 +1,64 @@
+/************************************************
+ * netlify/lib/geo.js
+ ************************************************/
+const EARTH_RADIUS_MILES = 3958.8;
+
+const COMPASS_POINTS = ['N', 'NNE', 'NE', 'ENE', 'E', 'ESE', 'SE', 'SSE', 'S', 'SSW', 'SW', 'WSW', 'W', 'WNW', 'NW', 'NNW'];
+
+function toRadians(degrees) {
+  return degrees * (Math.PI / 180);
+}
+
+/**
+ * Function to approximate latitude/longitude offsets for a given mile radius.
+ * 1 degree of latitude ≈ 69 miles
+ * 1 degree of longitude ≈ varies (near the equator it's ~69 miles, but less at higher latitudes)
+ */
+function getBoundingCoordinates(lat, lon, radiusMiles = 50) {
+  const latOffset = radiusMiles / 69;
+  const lonOffset = radiusMiles / (69 * Math.cos(lat * (Math.PI / 180))); // Adjust for longitude compression at higher latitudes
+
+  return {
+    minLat: lat - latOffset,
+    maxLat: lat + latOffset,
+    minLon: lon - lonOffset,
+    maxLon: lon + lonOffset
+  };
+}
+
+/**
+ * Great-circle (haversine) distance in miles.
+ */
+function distanceMiles(lat1, lon1, lat2, lon2) {
+  const dLat = toRadians(lat2 - lat1);
+  const dLon = toRadians(lon2 - lon1);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_MILES * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Initial bearing from point 1 to point 2, 0-360 degrees clockwise from north.
+ */
+function bearingDegrees(lat1, lon1, lat2, lon2) {
+  const dLon = toRadians(lon2 - lon1);
+  const y = Math.sin(dLon) * Math.cos(toRadians(lat2));
+  const x = Math.cos(toRadians(lat1)) * Math.sin(toRadians(lat2))
+    - Math.sin(toRadians(lat1)) * Math.cos(toRadians(lat2)) * Math.cos(dLon);
+  return ((Math.atan2(y, x) * 180) / Math.PI + 360) % 360;
+}
+
+/**
+ * 16-point compass direction (N, NNE, ...) for a bearing in degrees.
+ */
+function toCompass(degrees) {
+  if (typeof degrees !== 'number' || Number.isNaN(degrees)) return '';
+  return COMPASS_POINTS[Math.round((((degrees % 360) + 360) % 360) / 22.5) % 16];
+}
+
+module.exports = {
+  getBoundingCoordinates,
+  distanceMiles,
+  bearingDegrees,
+  toCompass
+};
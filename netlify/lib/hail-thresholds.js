@@ -0,0 +1,242 @@
+/************************************************
+ * netlify/lib/hail-thresholds.js
+ ************************************************/
+const { safeString } = require('./utils');
+
+/**
+ * Hail size versus roofing-material damage thresholds.
+ * Compares the hail size for the loss (measured impacts first, then the
+ * engineer's hail size, then nearby hail reports) with the size known to damage
+ * each roof system checked on the form, and returns one finding per system:
+ * "exceeds", "at" or "below" the damage threshold.
+ */
+
+// Sizes within this many inches of a threshold count as "at" the threshold
+const AT_THRESHOLD_TOLERANCE = 0.125;
+// Nearby hail reports closer than this can stand in for the hail size at the property
+const NEARBY_REPORT_MILES = 10;
+
+/**
+ * Damage threshold table, in inches of hail diameter. Values are the
+ * commonly cited sizes at which hail causes damage to each material in
+ * impact testing (Haag Engineering, FM Global, IBHS). Keep `basis` short:
+ * it is printed in the report table.
+ */
+const THRESHOLDS = {
+  composition: { material: 'Composition shingles', inches: 1.0, basis: 'Fractured mat or granule loss exposing asphalt (3-tab); laminated shingles ~1.25 in' },
+  metalSteel: {
+    material: 'Steel panels',
+    basis: 'Visible denting of the panel',
+    byGauge: { 29: 1.25, 28: 1.25, 27: 1.5, 26: 1.5, 25: 1.75, 24: 1.75 },
+    inches: 1.25
+  },
+  metalAluminum: { material: 'Aluminum panels', inches: 1.0, basis: 'Visible denting of the panel' },
+  clayTile: { material: 'Clay tile', inches: 1.25, basis: 'Cracked or fractured tiles' },
+  concreteTile: { material: 'Concrete tile', inches: 1.75, basis: 'Cracked or fractured tiles (standard weight)' },
+  TPO: { material: 'TPO membrane', inches: 1.5, basis: 'Membrane fracture; lower for aged or unsupported membrane' },
+  EPDM: { material: 'EPDM membrane', inches: 2.0, basis: 'Membrane puncture or fracture' },
+  PVC: { material: 'PVC membrane', inches: 1.5, basis: 'Membrane fracture; lower for aged membrane' },
+  modBit: { material: 'Modified bitumen', inches: 1.75, basis: 'Fractured cap sheet or exposed reinforcing mat' },
+  bur: { material: 'Built-up roofing (gravel ballast)', inches: 2.0, basis: 'Fractured felts beneath the gravel surfacing' }
+};
+
+// Common hail size comparisons (NWS), in inches
+const OBJECT_SIZES = [
+  [/\bpea\b/i, 0.25],
+  [/\bmarble|moth ?ball\b/i, 0.5],
+  [/\bdime|penny\b/i, 0.75],
+  [/\bnickel\b/i, 0.88],
+  [/\bquarter\b/i, 1.0],
+  [/\bhalf[- ]dollar\b/i, 1.25],
+  [/\bwalnut|ping[- ]pong\b/i, 1.5],
+  [/\bgolf ?ball\b/i, 1.75],
+  [/\b(hen )?egg\b/i, 2.0],
+  [/\btennis ?ball\b/i, 2.5],
+  [/\bbaseball\b/i, 2.75],
+  [/\btea ?cup\b/i, 3.0],
+  [/\bgrapefruit\b/i, 4.0],
+  [/\bsoftball\b/i, 4.5]
+];
+
+// A whole number, decimal, fraction or mixed number ("1 1/4", "1-3/4")
+const SIZE_NUMBER = '(\\d+\\s+\\d+/\\d+|\\d+-\\d+/\\d+|\\d+/\\d+|\\d*\\.\\d+|\\d+)';
+// "1.25 inch", "1-in.", "3/4\"" ("in" only where it cannot start a phrase like "2 in the gutter")
+const INCH_PATTERN = new RegExp(`${SIZE_NUMBER}\\s*-?\\s*(?:inch(?:es)?\\b|in\\b(?!\\s+(?:the|a|an|this|that|each|every|on|of)\\b)\\.?|["\u2033\u201d])`, 'gi');
+// "hail size 1.25", "diameter of 1.5"
+const SIZE_WORDING_PATTERN = new RegExp(`\\b(?:size|diameter)\\s*(?:of|:|=)?\\s*(?:about|approximately|approx\\.?|~)?\\s*${SIZE_NUMBER}`, 'gi');
+
+function toNumber(text) {
+  const [whole, fraction] = text.trim().split(/\s+|-(?=\d+\/)/);
+  const parts = (fraction || whole).split('/');
+  const value = parts.length === 2 ? Number(parts[0]) / Number(parts[1]) : Number(parts[0]);
+  return fraction ? Number(whole) + value : value;
+}
+
+/**
+ * Read a hail size in inches from free text such as "1.25 inch",
+ * "1 1/4 in", "1-3/4 inch", "3/4\"", "hail size 1.5", "golf ball size"
+ * or "30 mm".
+ * Bare numbers ("2 impacts", "2026") are not sizes. Returns null if none.
+ * With several sizes ("1 to 1.5 inch") the largest is used.
+ */
+function parseHailSize(text) {
+  const value = safeString(text);
+  if (!value.trim()) return null;
+
+  const mm = value.match(/(\d+(?:\.\d+)?)\s*mm\b/i);
+  if (mm) return Math.round((Number(mm[1]) / 25.4) * 100) / 100;
+
+  const sizes = [...value.matchAll(INCH_PATTERN), ...value.matchAll(SIZE_WORDING_PATTERN)]
+    .map((m) => toNumber(m[1]))
+    .filter((n) => n > 0 && n <= 8);
+  if (sizes.length > 0) return Math.max(...sizes);
+
+  const object = OBJECT_SIZES.find(([pattern]) => pattern.test(value));
+  return object ? object[1] : null;
+}
+
+/**
+ * The hail size to compare against, with where it came from.
+ */
+function resolveHailSize(context, weatherData) {
+  const candidates = [
+    [context?.analysisImpactSize, 'measured impact indentations'],
+    [context?.analysisHail, 'hail size noted by the engineer']
+  ];
+  for (const [text, source] of candidates) {
+    const inches = parseHailSize(text);
+    if (inches) return { inches, source };
+  }
+
+  const nearby = (weatherData?.nearbyReports?.reports || [])
+    .filter((r) => r.type === 'hail' && r.magnitude && r.distanceMiles <= NEARBY_REPORT_MILES)
+    .sort((a, b) => b.magnitude - a.magnitude)[0];
+  if (nearby) {
+    return {
+      inches: nearby.magnitude,
+      source: `hail report ${nearby.distanceMiles} mi ${nearby.bearing} of the property`
+    };
+  }
+  return null;
+}
+
+/**
+ * One { system, threshold } entry per checked roof system.
+ */
+function checkedSystems(context) {
+  const systems = [];
+
+  if (context?.roofCompChecked) {
+    systems.push({ system: 'Composition shingles', threshold: THRESHOLDS.composition });
+  }
+
+  if (context?.roofMetalChecked) {
+    if (/alum/i.test(safeString(context.roofMetalAluminum))) {
+      systems.push({ system: 'Metal (aluminum)', threshold: THRESHOLDS.metalAluminum });
+    } else {
+      const gauge = parseInt(context.roofMetalGauge, 10);
+      const steel = THRESHOLDS.metalSteel;
+      systems.push({
+        system: gauge ? `Metal (${gauge} gauge steel)` : 'Metal (steel)',
+        threshold: { ...steel, inches: steel.byGauge[gauge] || steel.inches }
+      });
+    }
+  }
+
+  if (context?.roofSinglePlyChecked) {
+    const membranes = [['singleTPO', 'TPO'], ['singleEPDM', 'EPDM'], ['singlePVC', 'PVC']]
+      .filter(([flag]) => context[flag])
+      .map(([, key]) => key);
+    if (membranes.length === 0) {
+      // Type not given: use the most vulnerable membrane
+      systems.push({ system: 'Single-ply membrane', threshold: THRESHOLDS.TPO });
+    }
+    membranes.forEach((key) => {
+      systems.push({ system: `Single-ply membrane (${key})`, threshold: THRESHOLDS[key] });
+    });
+  }
+
+  if (context?.roofModBitChecked) {
+    systems.push({ system: 'Modified bitumen', threshold: THRESHOLDS.modBit });
+  }
+  if (context?.roofBURChecked) {
+    systems.push({ system: 'Built-up roofing (gravel ballast)', threshold: THRESHOLDS.bur });
+  }
+  if (context?.roofClayTileChecked) {
+    systems.push({ system: 'Clay tile', threshold: THRESHOLDS.clayTile });
+  }
+  if (context?.roofConcreteTileChecked) {
+    systems.push({ system: 'Concrete tile', threshold: THRESHOLDS.concreteTile });
+  }
+
+  return systems;
+}
+
+/**
+ * Returns { hailSize: { inches, source }, findings: [{ system, material,
+ * thresholdInches, basis, result, finding }] }, or null when the claim is
+ * not a hail claim or there is no hail size or roof system to compare.
+ */
+function analyzeHailThresholds(context, weatherData) {
+  const claimTypes = Array.isArray(context?.claimType) ? context.claimType : [];
+  if (!claimTypes.some((c) => /hail/i.test(c))) return null;
+
+  const hailSize = resolveHailSize(context, weatherData);
+  const systems = checkedSystems(context);
+  if (!hailSize || systems.length === 0) return null;
+
+  const findings = systems.map(({ system, threshold }) => {
+    const difference = hailSize.inches - threshold.inches;
+    let result = 'below';
+    if (Math.abs(difference) <= AT_THRESHOLD_TOLERANCE) result = 'at';
+    else if (difference > 0) result = 'exceeds';
+
+    return {
+      system,
+      material: threshold.material,
+      thresholdInches: threshold.inches,
+      basis: threshold.basis,
+      result,
+      finding: result === 'at' ? 'At damage threshold' : `${result === 'exceeds' ? 'Exceeds' : 'Below'} damage threshold`
+    };
+  });
+
+  return { hailSize, findings };
+}
+
+/**
+ * Markdown table for the compiled report.
+ */
+function formatThresholdTable(analysis) {
+  if (!analysis) return '';
+  const { hailSize, findings } = analysis;
+  return [
+    '**Hail Size Versus Damage Thresholds**',
+    '',
+    `Hail size used: ${hailSize.inches.toFixed(2)} in (${hailSize.source}).`,
+    '',
+    '| Roof system | Damage threshold (in) | Damage mode | Hail size (in) | Finding |',
+    '|---|---|---|---|---|',
+    ...findings.map((f) => `| ${f.system} | ${f.thresholdInches.toFixed(2)} | ${f.basis} | ${hailSize.inches.toFixed(2)} | ${f.finding} |`)
+  ].join('\n');
+}
+
+/**
+ * Plain-text findings for the Conclusions prompt.
+ */
+function formatThresholdFindings(analysis) {
+  if (!analysis) return '';
+  const { hailSize, findings } = analysis;
+  return [
+    `Hail damage threshold analysis (hail size ${hailSize.inches.toFixed(2)} in, from ${hailSize.source}):`,
+    ...findings.map((f) => `- ${f.system}: ${f.finding.toLowerCase()} (${f.thresholdInches.toFixed(2)} in; ${f.basis.toLowerCase()})`)
+  ].join('\n');
+}
+
+module.exports = {
+  THRESHOLDS,
+  parseHailSize,
+  analyzeHailThresholds,
+  formatThresholdTable,
+  formatThresholdFindings
+};
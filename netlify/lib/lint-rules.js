@@ -0,0 +1,195 @@
+/************************************************
+ * netlify/lib/lint-rules.js
+ ************************************************/
+const { safeString } = require('./utils');
+
+/**
+ * Section linter: admin-maintained regular expressions (`lint_rules`) for
+ * phrasing the prompts forbid. A finding is
+ * { ruleId, rule, severity, start, end, text, message, correction };
+ * "block" findings keep the section from being accepted.
+ */
+const SEVERITIES = ['warn', 'block'];
+const ALLOWED_FLAGS = /^[imsu]*$/;
+const COLUMNS = 'id, name, pattern, flags, message, correction, severity, sections, enabled, updated_at';
+// A pattern that matches this often is a broken rule, not a finding
+const MAX_FINDINGS_PER_RULE = 20;
+
+function toRule(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    pattern: row.pattern,
+    flags: row.flags || '',
+    message: row.message,
+    correction: row.correction || '',
+    severity: row.severity,
+    sections: row.sections || [],
+    enabled: row.enabled,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * The rule's pattern as a global RegExp. Throws with a message fit for
+ * the user when it does not compile.
+ */
+function compileRule(rule) {
+  const flags = safeString(rule.flags);
+  if (!ALLOWED_FLAGS.test(flags)) throw new Error('Flags may only be i, m, s and u.');
+  try {
+    return new RegExp(rule.pattern, `${flags}g`);
+  } catch (err) {
+    throw new Error(`Invalid pattern: ${err.message}`);
+  }
+}
+
+async function listLintRules(supabase, { enabledOnly = false } = {}) {
+  let query = supabase
+    .from('lint_rules')
+    .select(COLUMNS)
+    .order('created_at', { ascending: true });
+  if (enabledOnly) query = query.eq('enabled', true);
+
+  const { data, error } = await query;
+  if (error) {
+    console.error('Error listing lint rules:', error);
+    throw new Error('Could not list lint rules.');
+  }
+  return (data || []).map(toRule);
+}
+
+// Validated columns from a request body; `partial` for updates
+function ruleFields(body, partial) {
+  const row = {};
+  const text = (field, max) => safeString(body[field]).trim().slice(0, max);
+
+  if (!partial || body.name !== undefined) {
+    row.name = text('name', 100);
+    if (!row.name) throw new Error('Rules need a name.');
+  }
+  // Pattern and flags are saved together, since one is checked with the other
+  if (partial && (body.pattern === undefined) !== (body.flags === undefined)) {
+    throw new Error('Send the pattern and flags together.');
+  }
+  if (!partial || body.pattern !== undefined) {
+    row.pattern = text('pattern', 1000);
+    row.flags = body.flags === undefined ? 'i' : text('flags', 4);
+    if (!row.pattern) throw new Error('Rules need a pattern.');
+    if (compileRule(row).test('')) throw new Error('The pattern matches empty text.');
+  }
+  if (!partial || body.message !== undefined) {
+    row.message = text('message', 300);
+    if (!row.message) throw new Error('Rules need a message for the engineer.');
+  }
+  if (!partial || body.correction !== undefined) {
+    row.correction = text('correction', 500) || null;
+  }
+  if (!partial || body.severity !== undefined) {
+    row.severity = body.severity || 'warn';
+    if (!SEVERITIES.includes(row.severity)) throw new Error(`Severity must be one of ${SEVERITIES.join(', ')}.`);
+  }
+  if (!partial || body.sections !== undefined) {
+    const sections = (Array.isArray(body.sections) ? body.sections : [])
+      .map((s) => safeString(s).trim())
+      .filter(Boolean);
+    row.sections = sections.length > 0 ? sections : null;
+  }
+  if (!partial || body.enabled !== undefined) {
+    row.enabled = body.enabled !== false;
+  }
+  return row;
+}
+
+/**
+ * Create a rule, or update the fields given when `id` is set.
+ * Throws with a message fit for the user on invalid input.
+ */
+async function saveLintRule(supabase, { id, userId, ...body }) {
+  const row = { ...ruleFields(body, Boolean(id)), updated_by: userId || null };
+  const query = id
+    ? supabase.from('lint_rules').update({ ...row, updated_at: new Date().toISOString() }).eq('id', id)
+    : supabase.from('lint_rules').insert([row]);
+
+  const { data, error } = await query.select(COLUMNS).maybeSingle();
+  if (error) {
+    console.error('Error saving lint rule:', error);
+    throw new Error('Could not save the lint rule.');
+  }
+  if (!data) throw new Error('Lint rule not found.');
+  return toRule(data);
+}
+
+async function deleteLintRule(supabase, id) {
+  const { error } = await supabase
+    .from('lint_rules')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    console.error('Error deleting lint rule:', error);
+    throw new Error('Could not delete the lint rule.');
+  }
+}
+
+/**
+ * Findings of the rules that apply to `sectionId`, in text order.
+ * A rule whose pattern does not compile is skipped.
+ */
+function lintSection(sectionId, text, rules) {
+  const body = safeString(text);
+  const findings = [];
+
+  (rules || []).forEach((rule) => {
+    if (rule.enabled === false) return;
+    if (rule.sections?.length > 0 && !rule.sections.includes(sectionId)) return;
+
+    let pattern;
+    try {
+      pattern = compileRule(rule);
+    } catch (err) {
+      console.error(`Skipping lint rule ${rule.name}:`, err.message);
+      return;
+    }
+    [...body.matchAll(pattern)]
+      .filter((m) => m[0])
+      .slice(0, MAX_FINDINGS_PER_RULE)
+      .forEach((m) => findings.push({
+        ruleId: rule.id,
+        rule: rule.name,
+        severity: rule.severity,
+        start: m.index,
+        end: m.index + m[0].length,
+        text: m[0],
+        message: rule.message,
+        correction: rule.correction || ''
+      }));
+  });
+
+  return findings.sort((a, b) => a.start - b.start);
+}
+
+/**
+ * Instructions for regenerating a section: one line per rule it broke and
+ * one per fact-check violation (see lib/fact-check.js). '' when there is
+ * nothing to fix. The browser's "Regenerate with Fixes" sends the same text.
+ */
+function correctionInstructions(findings, violations = []) {
+  const lines = new Map();
+  (findings || []).forEach((f) => {
+    if (!lines.has(f.ruleId)) {
+      lines.set(f.ruleId, `- ${f.correction || f.message} (found: "${f.text}")`);
+    }
+  });
+  const facts = (violations || []).map((v) => `- Correct "${v.text}", which contradicts the project inputs: ${v.message}`);
+  if (lines.size === 0 && facts.length === 0) return '';
+  return ['Revise the section to fix these problems:', ...facts, ...lines.values()].join('\n');
+}
+
+module.exports = {
+  listLintRules,
+  saveLintRule,
+  deleteLintRule,
+  lintSection,
+  correctionInstructions
+};
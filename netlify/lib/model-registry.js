@@ -0,0 +1,193 @@
+/************************************************
+ * netlify/lib/model-registry.js
+ ************************************************/
+
+/**
+ * Fine-tune job history (`finetune_jobs`) and model registry (`models`).
+ * The model used for generation is resolved as:
+ *   pinned_model (set by an admin) -> active_finetuned_model -> DEFAULT_MODEL
+ * All helpers take the caller's Supabase client.
+ */
+const DEFAULT_MODEL = 'gpt-4o-2024-08-06';
+
+async function getSetting(supabase, key) {
+  const { data, error } = await supabase
+    .from('app_settings')
+    .select('value')
+    .eq('key', key)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Supabase error fetching ${key}:`, error);
+    return null;
+  }
+  return data?.value || null;
+}
+
+async function setSetting(supabase, key, value) {
+  const { error } = await supabase
+    .from('app_settings')
+    .upsert({ key, value }, { onConflict: 'key' });
+
+  if (error) {
+    console.error(`Error updating ${key}:`, error);
+    throw new Error(`Could not update ${key}.`);
+  }
+}
+
+async function deleteSetting(supabase, key) {
+  const { error } = await supabase
+    .from('app_settings')
+    .delete()
+    .eq('key', key);
+
+  if (error) {
+    console.error(`Error clearing ${key}:`, error);
+  }
+}
+
+/**
+ * The model generate-report should use, or null if none is set.
+ */
+async function getActiveModel(supabase) {
+  try {
+    const pinned = await getSetting(supabase, 'pinned_model');
+    if (pinned) return pinned;
+    return await getSetting(supabase, 'active_finetuned_model');
+  } catch (err) {
+    console.error('Error retrieving active model:', err);
+    return null;
+  }
+}
+
+/**
+ * Insert or update a row in finetune_jobs (keyed by the OpenAI job id).
+ */
+async function recordJob(supabase, job) {
+  const { error } = await supabase
+    .from('finetune_jobs')
+    .upsert(job, { onConflict: 'id' });
+
+  if (error) {
+    console.error('Error recording fine-tune job:', error);
+  }
+}
+
+/**
+ * Update some columns of an existing finetune_jobs row.
+ */
+async function updateJob(supabase, jobId, fields) {
+  const { error } = await supabase
+    .from('finetune_jobs')
+    .update(fields)
+    .eq('id', jobId);
+
+  if (error) {
+    console.error('Error updating fine-tune job:', error);
+  }
+}
+
+/**
+ * Add a model produced by a job to the registry (no-op if it exists).
+ * New fine-tuned models start as "candidate" until they pass evaluation.
+ */
+async function registerModel(supabase, { id, baseModel, jobId, status = 'available' }) {
+  const { error } = await supabase
+    .from('models')
+    .upsert({
+      id,
+      base_model: baseModel || null,
+      job_id: jobId || null,
+      status
+    }, { onConflict: 'id', ignoreDuplicates: true });
+
+  if (error) {
+    console.error('Error registering model:', error);
+    throw new Error('Could not register model.');
+  }
+}
+
+/**
+ * Make a registered model the active one. The previously active model
+ * stays in the registry as "available" so it can be rolled back to.
+ */
+async function promoteModel(supabase, modelId) {
+  const { error: demoteError } = await supabase
+    .from('models')
+    .update({ status: 'available' })
+    .eq('status', 'active');
+
+  if (demoteError) {
+    console.error('Error demoting previous model:', demoteError);
+  }
+
+  const { error: promoteError } = await supabase
+    .from('models')
+    .update({ status: 'active', promoted_at: new Date().toISOString() })
+    .eq('id', modelId);
+
+  if (promoteError) {
+    console.error('Error promoting model:', promoteError);
+    throw new Error('Could not promote model.');
+  }
+
+  await setSetting(supabase, 'active_finetuned_model', modelId);
+}
+
+/**
+ * Roll back to an earlier model. Without a target, this is the most
+ * recently promoted model before the current one that was not itself
+ * rolled back. The model being replaced is marked "retired".
+ * Returns the model that is now active.
+ */
+async function rollbackModel(supabase, targetModelId = null) {
+  const current = await getSetting(supabase, 'active_finetuned_model');
+
+  let target = targetModelId;
+  if (!target) {
+    const { data: candidates, error } = await supabase
+      .from('models')
+      .select('id, promoted_at')
+      .not('promoted_at', 'is', null)
+      .neq('status', 'retired')
+      .order('promoted_at', { ascending: false });
+
+    if (error) {
+      console.error('Error listing models for rollback:', error);
+      throw new Error('Could not list models for rollback.');
+    }
+    target = (candidates || []).find((m) => m.id !== current)?.id || null;
+  }
+
+  if (!target) {
+    throw new Error('No earlier model to roll back to.');
+  }
+
+  if (current && current !== target) {
+    await supabase
+      .from('models')
+      .update({ status: 'retired' })
+      .eq('id', current);
+  }
+
+  await supabase
+    .from('models')
+    .update({ status: 'active' })
+    .eq('id', target);
+
+  await setSetting(supabase, 'active_finetuned_model', target);
+  return target;
+}
+
+module.exports = {
+  DEFAULT_MODEL,
+  getSetting,
+  setSetting,
+  deleteSetting,
+  getActiveModel,
+  recordJob,
+  updateJob,
+  registerModel,
+  promoteModel,
+  rollbackModel
+};
@@ -0,0 +1,101 @@
+/************************************************
+ * netlify/lib/opening-letter.js
+ ************************************************/
+const { safeString, safeArrayJoin } = require('./utils');
+
+/**
+ * The Opening Letter is a mail-merge template filled from the form context
+ * and the engineer's credentials. Only the summary paragraph may come from
+ * the model. A line whose placeholders are all empty is left out, so
+ * missing form fields never print as blanks.
+ */
+const OPENING_LETTER_TEMPLATE = `{{letterDate}}
+
+{{propertyOwnerName}}
+{{address}}
+
+**Re: {{projectName}}**
+Claim No.: {{claimNumber}}
+Date of Loss: {{dateOfLoss}}
+Investigation Date: {{investigationDate}}
+Claim Type(s): {{claimTypes}}
+
+Dear {{salutation}}:
+
+As requested, we have completed a forensic engineering investigation of the reported {{claimTypesLower}} damage at the property referenced above. The results of our investigation are presented in the accompanying report.
+
+{{summary}}
+
+Should you have any questions regarding this report, please do not hesitate to contact us.
+
+Respectfully submitted,
+
+{{engineerName}}, P.E.
+License No. {{engineerLicense}}
+{{engineerContact}}`;
+
+const PLACEHOLDER_PATTERN = /\{\{(\w+)\}\}/g;
+
+/**
+ * "2026-10-19" -> "October 19, 2026". Other values are returned as given.
+ */
+function formatLongDate(value) {
+  const text = safeString(value).trim();
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(text);
+  const date = match ? new Date(Date.UTC(+match[1], +match[2] - 1, +match[3])) : null;
+  if (!date || isNaN(date.getTime())) return text;
+  return date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric', timeZone: 'UTC' });
+}
+
+/**
+ * Replace {{field}} placeholders with values. Lines with placeholders that
+ * all resolve to empty strings are dropped.
+ */
+function fillTemplate(template, values) {
+  const lines = template.split('\n').flatMap((line) => {
+    const fields = [...line.matchAll(PLACEHOLDER_PATTERN)].map((m) => m[1]);
+    if (fields.length > 0 && fields.every((field) => !safeString(values[field]).trim())) {
+      return [];
+    }
+    return [line.replace(PLACEHOLDER_PATTERN, (_, field) => safeString(values[field]).trim())];
+  });
+  // Dropped lines can leave runs of blank lines behind
+  return lines.join('\n').replace(/\n{3,}/g, '\n\n').trim();
+}
+
+/**
+ * The Opening Letter as markdown. `summary` is the optional paragraph
+ * drafted by the model; `date` defaults to today.
+ */
+function buildOpeningLetter(context, { summary = '', date = new Date() } = {}) {
+  const claimTypes = safeArrayJoin(context?.claimType);
+  const owner = safeString(context?.propertyOwnerName).trim();
+
+  const letter = fillTemplate(OPENING_LETTER_TEMPLATE, {
+    letterDate: date.toLocaleDateString('en-US', { year: 'numeric', month: 'long', day: 'numeric' }),
+    propertyOwnerName: owner,
+    address: context?.address,
+    projectName: context?.projectName || context?.address,
+    claimNumber: context?.claimNumber,
+    dateOfLoss: formatLongDate(context?.dateOfLoss),
+    investigationDate: formatLongDate(context?.investigationDate),
+    claimTypes,
+    claimTypesLower: safeArrayJoin(context?.claimType, ' and ').toLowerCase() || 'storm',
+    salutation: owner || 'Sir or Madam',
+    // One paragraph, whatever line breaks the model used
+    summary: safeString(summary).replace(/\s+/g, ' ').trim(),
+    engineerName: context?.engineerName,
+    engineerLicense: context?.engineerLicense,
+    engineerContact: [safeString(context?.engineerEmail).trim(), safeString(context?.engineerPhone).trim()]
+      .filter(Boolean)
+      .join(' | ')
+  });
+  // Address and reference lines are separate lines, not one paragraph
+  return letter.replace(/([^\n])\n(?=[^\n])/g, '$1  \n');
+}
+
+module.exports = {
+  OPENING_LETTER_TEMPLATE,
+  fillTemplate,
+  buildOpeningLetter
+};
@@ -0,0 +1,241 @@
+/************************************************
+ * netlify/lib/photos.js
+ ************************************************/
+const { randomUUID } = require('crypto');
+const { safeString } = require('./utils');
+const { getReportRow } = require('./reports');
+
+/**
+ * Report photographs: files in the private "report-photos" storage bucket,
+ * one report_photos row each with its caption and tags. Figure numbers are
+ * not stored; they follow upload order, so deleting a photo renumbers
+ * the rest.
+ */
+const BUCKET = 'report-photos';
+const MAX_PHOTO_BYTES = 4 * 1024 * 1024;
+const CONTENT_TYPES = { 'image/jpeg': 'jpg', 'image/png': 'png' };
+const SIGNED_URL_SECONDS = 60 * 60;
+const COLUMNS = 'id, report_id, storage_path, file_name, content_type, width, height, caption, elevation, roof_slope, affected_area, user_id, created_at';
+
+// Editable fields: request name -> column
+const PHOTO_FIELDS = {
+  caption: 'caption',
+  elevation: 'elevation',
+  roofSlope: 'roof_slope',
+  affectedArea: 'affected_area'
+};
+
+function toPhoto(row, index) {
+  return {
+    id: row.id,
+    figure: index + 1,
+    caption: row.caption || '',
+    elevation: row.elevation || '',
+    roofSlope: row.roof_slope || '',
+    affectedArea: row.affected_area || '',
+    fileName: row.file_name,
+    contentType: row.content_type,
+    width: row.width,
+    height: row.height,
+    userId: row.user_id
+  };
+}
+
+function photoFields(body) {
+  const row = {};
+  Object.entries(PHOTO_FIELDS).forEach(([field, column]) => {
+    if (body[field] === undefined) return;
+    row[column] = safeString(body[field]).trim().slice(0, field === 'caption' ? 500 : 40) || null;
+  });
+  if (row.caption === null) row.caption = '';
+  return row;
+}
+
+async function getPhotoRows(supabase, reportId) {
+  const { data, error } = await supabase
+    .from('report_photos')
+    .select(COLUMNS)
+    .eq('report_id', reportId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error listing report photos:', error);
+    throw new Error('Could not list photos.');
+  }
+  return data || [];
+}
+
+/**
+ * Whether `user` may see and add photos of a report: its owner or an admin.
+ * Photos can be added before the report is first saved; until then only
+ * the engineer who uploaded them (or an admin) has access.
+ */
+async function canAccessPhotos(supabase, reportId, user) {
+  if (user.role === 'admin') return true;
+  const report = await getReportRow(supabase, reportId);
+  if (report) return report.user_id === user.id;
+  const rows = await getPhotoRows(supabase, reportId);
+  return rows.every((row) => row.user_id === user.id);
+}
+
+/**
+ * Photos of a report in figure order, each with a short-lived signed URL.
+ */
+async function listPhotos(supabase, reportId) {
+  const rows = await getPhotoRows(supabase, reportId);
+  if (rows.length === 0) return [];
+
+  const { data: signed, error } = await supabase.storage
+    .from(BUCKET)
+    .createSignedUrls(rows.map((row) => row.storage_path), SIGNED_URL_SECONDS);
+  if (error) {
+    console.error('Error signing photo URLs:', error);
+  }
+
+  return rows.map((row, i) => ({ ...toPhoto(row, i), url: signed?.[i]?.signedUrl || null }));
+}
+
+/**
+ * Photos of a report in figure order with the file contents, for exports.
+ * Files that cannot be downloaded are left out of the list.
+ */
+async function downloadPhotos(supabase, reportId) {
+  const rows = await getPhotoRows(supabase, reportId);
+  const photos = await Promise.all(rows.map(async (row, i) => {
+    const { data, error } = await supabase.storage.from(BUCKET).download(row.storage_path);
+    if (error) {
+      console.error(`Could not download photo ${row.storage_path}:`, error.message);
+      return null;
+    }
+    return { ...toPhoto(row, i), buffer: Buffer.from(await data.arrayBuffer()) };
+  }));
+  return photos.filter(Boolean);
+}
+
+/**
+ * Store an uploaded photo. `data` is the base64 file content.
+ * Throws with a message fit for the user on invalid input.
+ */
+async function addPhoto(supabase, { reportId, userId, fileName, contentType, data, width, height, ...fields }) {
+  const extension = CONTENT_TYPES[contentType];
+  if (!reportId) throw new Error('Missing reportId.');
+  if (!extension) throw new Error('Photos must be JPEG or PNG images.');
+
+  const buffer = Buffer.from(safeString(data), 'base64');
+  if (buffer.length === 0) throw new Error('The photo is empty.');
+  if (buffer.length > MAX_PHOTO_BYTES) {
+    throw new Error(`Photos must be smaller than ${MAX_PHOTO_BYTES / (1024 * 1024)} MB.`);
+  }
+
+  const storagePath = `${reportId}/${randomUUID()}.${extension}`;
+  const { error: uploadError } = await supabase.storage
+    .from(BUCKET)
+    .upload(storagePath, buffer, { contentType });
+  if (uploadError) {
+    console.error('Error uploading photo:', uploadError);
+    throw new Error('Could not store the photo.');
+  }
+
+  const { data: row, error } = await supabase
+    .from('report_photos')
+    .insert([{
+      report_id: reportId,
+      storage_path: storagePath,
+      file_name: safeString(fileName).slice(0, 200) || null,
+      content_type: contentType,
+      width: parseInt(width, 10) || null,
+      height: parseInt(height, 10) || null,
+      user_id: userId || null,
+      ...photoFields(fields)
+    }])
+    .select(COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error saving photo row:', error);
+    await supabase.storage.from(BUCKET).remove([storagePath]);
+    throw new Error('Could not save the photo.');
+  }
+  return row;
+}
+
+async function getPhotoRow(supabase, id) {
+  const { data, error } = await supabase
+    .from('report_photos')
+    .select(COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching photo:', error);
+    throw new Error('Could not load the photo.');
+  }
+  return data;
+}
+
+async function updatePhoto(supabase, id, body) {
+  const row = photoFields(body);
+  if (Object.keys(row).length === 0) throw new Error('Nothing to update.');
+
+  const { data, error } = await supabase
+    .from('report_photos')
+    .update(row)
+    .eq('id', id)
+    .select(COLUMNS)
+    .single();
+
+  if (error) {
+    console.error('Error updating photo:', error);
+    throw new Error('Could not update the photo.');
+  }
+  return data;
+}
+
+async function deletePhoto(supabase, row) {
+  const { error } = await supabase
+    .from('report_photos')
+    .delete()
+    .eq('id', row.id);
+
+  if (error) {
+    console.error('Error deleting photo:', error);
+    throw new Error('Could not delete the photo.');
+  }
+
+  const { error: storageError } = await supabase.storage.from(BUCKET).remove([row.storage_path]);
+  if (storageError) {
+    // The row is gone, so the photo is out of the report either way
+    console.error(`Could not remove ${row.storage_path} from storage:`, storageError.message);
+  }
+}
+
+/**
+ * "North elevation, north roof slope, Roof" for the tags that are set.
+ */
+function describeTags(photo) {
+  return [
+    photo.elevation && `${photo.elevation} elevation`,
+    photo.roofSlope && `${photo.roofSlope.toLowerCase()} roof slope`,
+    photo.affectedArea
+  ].filter(Boolean).join(', ');
+}
+
+/**
+ * "Figure 3. Hail impact on ridge cap (North elevation, Roof)"
+ */
+function figureCaption(photo) {
+  const tags = describeTags(photo);
+  const caption = photo.caption || 'Photograph';
+  return `Figure ${photo.figure}. ${caption}${tags ? ` (${tags})` : ''}`;
+}
+
+module.exports = {
+  canAccessPhotos,
+  listPhotos,
+  downloadPhotos,
+  addPhoto,
+  getPhotoRow,
+  updatePhoto,
+  deletePhoto,
+  figureCaption
+};
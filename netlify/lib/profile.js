@@ -0,0 +1,102 @@
+/************************************************
+ * netlify/lib/profile.js
+ ************************************************/
+
+/**
+ * Engineer profile images (signature and PE seal) kept on the users row
+ * as PNG or JPEG data URLs. The PDF export stamps them on the signature block.
+ */
+const MAX_IMAGE_BYTES = 512 * 1024;
+const IMAGE_FIELDS = {
+  signatureImage: 'signature_image',
+  sealImage: 'seal_image'
+};
+const DATA_URL_PATTERN = /^data:image\/(png|jpe?g);base64,([A-Za-z0-9+/=]+)$/;
+
+/**
+ * Decode an image data URL to a Buffer. Throws with a message fit for the
+ * user when the value is not a PNG/JPEG data URL or is too large.
+ */
+function imageBuffer(dataUrl) {
+  const match = DATA_URL_PATTERN.exec(String(dataUrl || ''));
+  if (!match) {
+    throw new Error('Images must be PNG or JPEG files.');
+  }
+  const buffer = Buffer.from(match[2], 'base64');
+  if (buffer.length > MAX_IMAGE_BYTES) {
+    throw new Error(`Images must be smaller than ${Math.round(MAX_IMAGE_BYTES / 1024)} KB.`);
+  }
+  return buffer;
+}
+
+/**
+ * { fullName, signatureImage, sealImage } for a user, images as data URLs
+ * (or null).
+ */
+async function getProfile(supabase, userId) {
+  const { data, error } = await supabase
+    .from('users')
+    .select('full_name, signature_image, seal_image')
+    .eq('id', userId)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching profile:', error);
+    throw new Error('Could not load the profile.');
+  }
+  return {
+    fullName: data?.full_name || null,
+    signatureImage: data?.signature_image || null,
+    sealImage: data?.seal_image || null
+  };
+}
+
+/**
+ * Save or clear (null) the images given in `updates`, validating each one.
+ */
+async function updateProfileImages(supabase, userId, updates) {
+  const row = {};
+  Object.entries(IMAGE_FIELDS).forEach(([field, column]) => {
+    if (updates[field] === undefined) return;
+    if (updates[field] !== null) imageBuffer(updates[field]);
+    row[column] = updates[field];
+  });
+  if (Object.keys(row).length === 0) {
+    throw new Error('Nothing to update.');
+  }
+
+  const { error } = await supabase
+    .from('users')
+    .update(row)
+    .eq('id', userId);
+
+  if (error) {
+    console.error('Error updating profile:', error);
+    throw new Error('Could not update the profile.');
+  }
+}
+
+/**
+ * The signature and seal for the PDF export as Buffers. Unreadable images
+ * are left out rather than failing the export.
+ */
+async function getSignatureImages(supabase, userId) {
+  const profile = await getProfile(supabase, userId);
+  const images = {};
+  ['signatureImage', 'sealImage'].forEach((field) => {
+    if (!profile[field]) return;
+    try {
+      images[field] = imageBuffer(profile[field]);
+    } catch (err) {
+      console.error(`Ignoring ${field} for user ${userId}:`, err.message);
+    }
+  });
+  return images;
+}
+
+module.exports = {
+  MAX_IMAGE_BYTES,
+  getProfile,
+  updateProfileImages,
+  getSignatureImages
+};
@@ -0,0 +1,541 @@
+/************************************************
+ * netlify/lib/prompts.js
+ ************************************************/
+const { safeString, safeArrayJoin } = require('./utils');
+const { formatWeatherTimeline } = require('./weather/timeline');
+const { formatNearbyReports } = require('./weather/storm-reports');
+const { analyzeHailThresholds, formatThresholdFindings } = require('./hail-thresholds');
+const { figureCaption } = require('./photos');
+
+/**
+ * Property analysis questions from the intake form, with the label
+ * used when they are passed to the model.
+ */
+const PROPERTY_ANALYSIS_FIELDS = [
+  ['analysisCause', 'Purported cause of loss'],
+  ['analysisHail', 'Hail size and direction'],
+  ['analysisWind', 'Wind intensity and direction'],
+  ['analysisRoofReplaced', 'Number of times the roof has been replaced'],
+  ['analysisRoofYear', 'Year the most recent roof was installed'],
+  ['analysisWindDirection', 'Prevailing wind direction'],
+  ['analysisRoofPitch', 'Pitch of the majority of the roof'],
+  ['analysisHailSpatter', 'Size of collateral damage / hail spatter'],
+  ['analysisSoftMetals', 'Damage to parapet caps and soft metals (vents, A/C units, gutters)'],
+  ['analysisImpactSize', 'Measured size of impact indentations']
+];
+
+/**
+ * Roof systems from the intake form. Each one is only used when its
+ * checkbox (`flag`) is checked; `options` are sub-type checkboxes and
+ * `fields` are the free-text / select answers for that system.
+ */
+const ROOF_SYSTEMS = [
+  {
+    flag: 'roofMetalChecked',
+    label: 'Metal',
+    optionsLabel: 'Panel profile(s)',
+    options: [
+      ['metalPBR', 'PBR Panel'],
+      ['metalSeam', 'Standing Seam'],
+      ['metalTrapezoidal', 'Trapezoidal'],
+      ['metalCorrugated', 'Corrugated'],
+      ['metalDecra', 'Decra'],
+      ['metalAluminumShake', 'Aluminum Shake'],
+      ['metalOther', 'Other']
+    ],
+    fields: [
+      ['roofMetalAluminum', 'Aluminum or steel'],
+      ['roofMetalGauge', 'Gauge'],
+      ['metalOtherNotes', 'Other profile notes'],
+      ['pbrShortLapDirection', 'PBR short lap direction'],
+      ['metalSeamGaps', 'Seam gaps caused by wind or hail'],
+      ['metalSheddingWater', 'Capable of shedding water as before the event']
+    ]
+  },
+  {
+    flag: 'roofCompChecked',
+    label: 'Composition Shingles',
+    fields: [
+      ['compDamagedShingles', 'Damaged shingles, wind-facing vs. leeward'],
+      ['compSlopesDamaged', 'Number of damaged slopes'],
+      ['compShinglesTestSquare', 'Damaged shingles in a 100 sq ft test square'],
+      ['compBrittleTest', 'Brittle test result'],
+      ['compShingleDensity', 'Shingle density / weight']
+    ]
+  },
+  {
+    flag: 'roofSinglePlyChecked',
+    label: 'Single-Ply Membrane',
+    optionsLabel: 'Membrane type(s)',
+    options: [
+      ['singleTPO', 'TPO'],
+      ['singleEPDM', 'EPDM'],
+      ['singlePVC', 'PVC']
+    ],
+    fields: [
+      ['singleMembraneAttachment', 'Attachment (fully adhered or mechanically fastened)'],
+      ['singleVisiblePenetrations', 'Visible penetrations in the membrane'],
+      ['singleEngineerNotes', 'Engineer notes']
+    ]
+  },
+  {
+    flag: 'roofModBitChecked',
+    label: 'Modified Bitumen',
+    fields: [
+      ['modBitHailDamage', 'Visible hail damage to the mod-bit']
+    ]
+  },
+  {
+    flag: 'roofBURChecked',
+    label: 'Built Up Roofing (Gravel Ballast)',
+    fields: [
+      ['burBirdNests', '"Bird nests" in the gravel ballast'],
+      ['burMattingDamage', 'Visible hail damage to the underlying matting']
+    ]
+  },
+  {
+    flag: 'roofClayTileChecked',
+    label: 'Clay Tile',
+    fields: [
+      ['clayTileManufacturer', 'Manufacturer'],
+      ['clayTileDiscontinued', 'Discontinued product'],
+      ['clayTileAge', 'Roof age'],
+      ['clayTileAttach', 'Attachment method'],
+      ['clayTileUnderlayment', 'Underlayment'],
+      ['clayTileDripEdge', 'Drip edge present'],
+      ['clayTileShape', 'Tile shape']
+    ]
+  },
+  {
+    flag: 'roofConcreteTileChecked',
+    label: 'Concrete Tile',
+    fields: [
+      ['concreteTileManufacturer', 'Manufacturer'],
+      ['concreteTileDiscontinued', 'Discontinued product'],
+      ['concreteTileAge', 'Roof age'],
+      ['concreteTileAttach', 'Attachment method'],
+      ['concreteTileUnderlayment', 'Underlayment'],
+      ['concreteTileDripEdge', 'Drip edge present'],
+      ['concreteTileShape', 'Tile shape']
+    ]
+  }
+];
+
+/**
+ * Turn [key, label] pairs into "- label: value" lines,
+ * leaving out anything the engineer did not fill in.
+ */
+function buildFieldLines(context, fields) {
+  return fields
+    .map(([key, label]) => {
+      const raw = context?.[key];
+      const value = typeof raw === 'number' ? String(raw) : safeString(raw).trim();
+      return value ? `- ${label}: ${value}` : '';
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Build the structured evidence block from the property analysis
+ * questions and every checked roof system. Empty fields are left out
+ * entirely so the model never comments on missing data.
+ * Returns '' if there is nothing to report.
+ */
+function buildRoofEvidence(context) {
+  const blocks = [];
+
+  const analysisLines = buildFieldLines(context, PROPERTY_ANALYSIS_FIELDS);
+  if (analysisLines.length > 0) {
+    blocks.push(`Property Analysis (engineer inputs):\n${analysisLines.join('\n')}`);
+  }
+
+  ROOF_SYSTEMS.forEach(system => {
+    if (!context?.[system.flag]) return;
+
+    const lines = [];
+    if (system.options) {
+      const checked = system.options.filter(([key]) => context?.[key]).map(([, label]) => label);
+      if (checked.length > 0) {
+        lines.push(`- ${system.optionsLabel}: ${checked.join(', ')}`);
+      }
+    }
+    lines.push(...buildFieldLines(context, system.fields));
+
+    blocks.push(lines.length > 0
+      ? `Roof System: ${system.label}\n${lines.join('\n')}`
+      : `Roof System: ${system.label}`);
+  });
+
+  return blocks.join('\n\n');
+}
+
+/**
+ * Section titles keyed by the normalized (lowercase) section id.
+ */
+const SECTION_TITLES = {
+  introduction: 'Introduction',
+  authorization: 'Authorization and Scope',
+  background: 'Background Information',
+  observations: 'Site Observations and Analysis',
+  moisture: 'Survey',
+  meteorologist: 'Meteorologist Report',
+  conclusions: 'Conclusions and Recommendations',
+  rebuttal: 'Rebuttal',
+  limitations: 'Limitations',
+  openingletter: 'Opening Letter'
+};
+
+/**
+ * Earlier sections whose full text a section must stay consistent with.
+ * Every other accepted section is passed as a short summary.
+ */
+const SECTION_DEPENDENCIES = {
+  conclusions: ['observations', 'moisture', 'meteorologist'],
+  rebuttal: ['observations', 'meteorologist', 'conclusions'],
+  limitations: ['observations', 'conclusions'],
+  openingletter: ['conclusions']
+};
+
+// Sections written without the weather data (generate-report skips the fetch)
+const SECTIONS_WITHOUT_WEATHER = ['openingletter', 'introduction'];
+
+const MAX_DEPENDENCY_CHARS = 6000;
+const MAX_SUMMARY_CHARS = 600;
+
+/**
+ * Condense a section to the first sentence of each paragraph,
+ * so later sections know what was covered without the full text.
+ */
+function summarizeSection(text) {
+  const paragraphs = safeString(text)
+    .split(/\n\s*\n/)
+    .filter(p => !/^\s*#/.test(p)) // headings carry no content of their own
+    .map(p => p.replace(/[*_`>]/g, '').replace(/\s+/g, ' ').trim())
+    .filter(Boolean);
+
+  let summary = '';
+  for (const paragraph of paragraphs) {
+    const firstSentence = (paragraph.match(/^.*?[.!?](\s|$)/) || [paragraph])[0].trim();
+    if (summary.length + firstSentence.length > MAX_SUMMARY_CHARS) break;
+    summary += `${firstSentence} `;
+  }
+  return summary.trim();
+}
+
+/**
+ * Build the "previously written sections" block from the sections the
+ * engineer has already accepted ({ sectionId: text }). Dependencies are
+ * passed in full, everything else as a summary. Returns '' when there
+ * is nothing accepted yet.
+ */
+function buildPriorSectionsBlock(sectionName, generatedSections) {
+  const current = (sectionName || '').trim().toLowerCase();
+  const dependencies = SECTION_DEPENDENCIES[current] || [];
+
+  const entries = Object.entries(generatedSections || {})
+    .map(([id, text]) => [id.trim().toLowerCase(), safeString(text)])
+    .filter(([id, text]) => id !== current && text);
+
+  if (entries.length === 0) return '';
+
+  const parts = entries.map(([id, text]) => {
+    const title = SECTION_TITLES[id] || id;
+    if (dependencies.includes(id)) {
+      return `### ${title} (full text)\n${text.slice(0, MAX_DEPENDENCY_CHARS)}`;
+    }
+    return `### ${title} (summary)\n${summarizeSection(text)}`;
+  });
+
+  const dependencyTitles = dependencies
+    .filter(id => entries.some(([entryId]) => entryId === id))
+    .map(id => SECTION_TITLES[id]);
+
+  const consistencyRule = dependencyTitles.length > 0
+    ? `\nEverything you write must be consistent with the ${dependencyTitles.join(', ')} text above. Do not introduce findings, causes or measurements that are not stated there or in the inputs.`
+    : '';
+
+  return `
+Previously written sections of this report (already accepted by the engineer):
+
+${parts.join('\n\n')}
+
+Do not repeat content that is already covered above; refer back to it briefly where needed.${consistencyRule}
+`;
+}
+
+/**
+ * Build the prompt for each section, making sure we avoid
+ * placeholders, contradictory roof info, multi-story references
+ * if it's a single story, etc.
+ * Returns { systemPrompt, userPrompt, baseUserPrompt }.
+ */
+async function generateSectionPrompt(sectionName, context, weatherData, customInstructions = '', generatedSections = {}) {
+  // Extract fields
+  const investigationDate   = safeString(context?.investigationDate);
+  const dateOfLoss          = safeString(context?.dateOfLoss);
+  const claimTypeString     = safeArrayJoin(context?.claimType);
+  const propertyType        = safeString(context?.propertyType);
+  const propertyAge         = safeString(context?.propertyAge);
+  const constructionType    = safeString(context?.constructionType);
+  const currentUse          = safeString(context?.currentUse);
+  const squareFootage       = safeString(context?.squareFootage);
+  const stories             = safeString(context?.stories);
+  const address             = safeString(context?.address);
+  const propertyOwnerName   = safeString(context?.propertyOwnerName);
+  const projectName         = safeString(context?.projectName);
+
+  // Affected areas
+  const affectedAreas       = safeArrayJoin(context?.affectedAreas);
+  const engineerNotes       = safeString(context?.engineerNotes);
+
+  // Summarize roof types from checkboxes
+  let roofTypesDetected = '';
+  if (context?.roofMetalChecked) {
+    roofTypesDetected += 'Metal, ';
+  }
+  if (context?.roofCompChecked) {
+    roofTypesDetected += 'Composition Shingles, ';
+  }
+  if (context?.roofSinglePlyChecked) {
+    roofTypesDetected += 'Single-Ply Membrane, ';
+  }
+  if (context?.roofModBitChecked) {
+    roofTypesDetected += 'Modified Bitumen, ';
+  }
+  if (context?.roofBURChecked) {
+    roofTypesDetected += 'Built Up Roofing (Gravel Ballast), ';
+  }
+  if (context?.roofClayTileChecked) {
+    roofTypesDetected += 'Clay Tile, ';
+  }
+  if (context?.roofConcreteTileChecked) {
+    roofTypesDetected += 'Concrete Tile, ';
+  }
+  // remove trailing comma
+  roofTypesDetected = roofTypesDetected.replace(/,\s*$/, '');
+
+  // Structured evidence for the checked roof systems (empty when nothing was filled in)
+  const roofEvidence = buildRoofEvidence(context);
+  const roofEvidenceBlock = roofEvidence
+    ? `\nEvidence recorded by the engineer (use these facts; only discuss the roof systems listed):\n${roofEvidence}\n`
+    : '';
+
+  // Weather data: date-of-loss summary for every section, the multi-day
+  // timeline tables only for the Meteorologist Report and the nearby storm
+  // reports for the Meteorologist Report and the Rebuttal
+  let weatherSummary = '';
+  const { timeline, nearbyReports, query, ...lossDayWeather } = weatherData || {};
+  if (weatherData?.note) {
+    weatherSummary = `Weather Data Note: ${weatherData.note}`;
+  } else if (Object.keys(lossDayWeather).length > 0) {
+    weatherSummary = JSON.stringify(lossDayWeather, null, 2);
+  }
+  const weatherTimeline = formatWeatherTimeline(weatherData);
+  const weatherTimelineBlock = weatherTimeline
+    ? `\n${weatherTimeline}\n\nCite specific rows from these tables (date, time, gust, precipitation type, hail indicators) when describing the storm, including activity shortly before or after midnight and on the days around the date of loss.\n`
+    : '';
+  // Hail size against the damage threshold of each checked roof system
+  const thresholdFindings = formatThresholdFindings(analyzeHailThresholds(context, weatherData));
+  const thresholdBlock = thresholdFindings
+    ? `\n${thresholdFindings}\n\nState these findings for each roof system and do not contradict them. A table with the same findings is appended after this section, so do not reproduce it.\n`
+    : '';
+
+  // Photographs in the report (context.photos: [{ figure, caption, elevation,
+  // roofSlope, affectedArea }]) so observations can cite them by figure number
+  const figures = (Array.isArray(context?.photos) ? context.photos : []).filter(p => p && p.figure);
+  const figuresBlock = figures.length > 0
+    ? `\nPhotographs in the report's photo appendix:\n${figures.map(p => `- ${figureCaption(p)}`).join('\n')}\n\nWhen an observation is shown in one of these photographs, cite it as "(see Figure N)". Only cite figures listed here, and only for what their captions show.\n`
+    : '';
+
+  const nearbyReportsList = formatNearbyReports(weatherData);
+  const nearbyReportsBlock = nearbyReportsList
+    ? `\n${nearbyReportsList}\n\nQuote the closest and largest reports as listed (size or speed, distance, direction, time).\n`
+    : '';
+
+  // Large system instruction
+  const bigSystemInstruction = `
+You are an expert forensic engineer generating professional report sections. 
+Use only the data from user inputs; do not invent details that contradict them.
+Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
+
+Guidelines:
+1. Use formal, technical language
+2. Include specific context details
+3. Maintain logical flow
+4. Support conclusions with evidence
+5. Reference documentation appropriately
+6. Use unique phrasing
+7. Ensure completeness
+8. Incorporate custom instructions while maintaining standards
+9. Make it so that each section is as long and detailed as possible.
+10. Make all the formatting uniform, with all the main headings the same font in bold, and all the rest of the text smaller font.
+11. Utilize the engineer inputs and create sound, detailed, and objective arguments in defense of substantiating the claim.
+12. Be lenghty and detailed throughout.
+
+Key points:
+1. Do NOT invent roofing types if user only specifies certain categories.
+2. Do NOT mention multiple floors if user has not indicated that (avoid referencing an upper floor if not specified).
+3. Keep Date of Loss (${dateOfLoss}) separate from Inspection Date (${investigationDate}).
+4. If weather data is missing or the date was in the future, note that briefly rather than printing "N/A".
+5. Avoid placeholders like [e.g., ...], [Third Party], etc.
+6. The user’s claim types: ${claimTypeString}.
+7. The indicated roof categories: ${roofTypesDetected}.
+8. The property address: ${address}.
+9. The property owner (or project name): ${propertyOwnerName} / ${projectName}.
+10. The building type: ${propertyType}, age: ${propertyAge}, use: ${currentUse}, sq ft: ${squareFootage}, stories: ${stories}.
+11. Weather Data Summary: ${weatherSummary}
+`;
+
+  const basePrompts = {
+    introduction: `
+You are writing the "Introduction" for a forensic engineering report.
+- Address: ${address}
+- Date of Loss: ${dateOfLoss}
+- Investigation Date: ${investigationDate}
+- Claim Type(s): ${claimTypeString}
+Explain the purpose of the inspection.
+Do not add contradictory roofing details.
+Do not mention the lack or absence of any data. Only mention things on data or inputs that you have.
+`,
+
+    authorization: `
+You are writing the "Authorization and Scope" section.
+Include:
+1) Who authorized it (e.g., property owner or law firm).
+2) The scope of work (site visit, photos, etc.).
+3) Summarize major tasks.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Do not make anything up or say anything that cannot be directly inferred from the inputs you have.
+Do not mention the lack or absence of any data. Only mention things on data or inputs that you have
+`,
+
+    background: `
+You are writing "Background Information."
+Include relevant details:
+- Property Type: ${propertyType}
+- Age: ${propertyAge}
+- Construction Type: ${constructionType}
+- Current Use: ${currentUse}
+- Square Footage: ${squareFootage}
+- Stories: ${stories}
+No placeholders or contradictory info.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Do not mention the lack or absence of any data. Only mention things on data or inputs that you have.
+`,
+
+    observations: `
+You are writing "Site Observations and Analysis."
+Affected areas: ${engineerNotes}.
+Roof categories indicated: ${roofTypesDetected}.
+Claim type(s): ${claimTypeString}.
+${roofEvidenceBlock}${figuresBlock}
+Only mention what the user indicated in the Engineer Notes and the evidence above.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Do not say that the engineer inspected something (e.g., interior) unless explicity said in the Engineer Notes.
+Do not go beyond what is directly given in the Engineer Notes and evidence inputs.
+Do not mention the lack or absence of any data. Only mention things on inputs in Engineer Notes and the evidence above.
+`,
+
+    moisture: `
+"Survey" (Moisture) section.
+Affected areas: ${engineerNotes}.
+Do not mention anything that is not directly given in the engineering inputs.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Do not mention the absence of any information or data.
+Ensure the data is always objective and specific leaving zero holes to argue against our engineer claims.
+`,
+
+    meteorologist: `
+"Meteorologist Report" section.
+Data: ${weatherSummary}.
+${weatherTimelineBlock}${nearbyReportsBlock}
+Engineer Notes: ${engineerNotes}.
+Do not repeat too much from the Engineer Notes that has already been mentioned in previous sections.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Use only weather information that does not contradict the inputs from the engineer.
+Use weather information to support Engineer claims.
+Do not talk about lack of evidence about any weather data.
+Don't mention the engineer. You are him.
+`,
+
+    conclusions: `
+"Conclusions and Recommendations."
+Summarize your final opinion on cause(s) of loss. 
+Propose next steps or repairs if relevant.
+${roofEvidenceBlock}${thresholdBlock}
+Ensure this remains sound, objective, factual and always based on legitimate observations inputted by the engineer.
+Don't mention the engineer. You are him.
+`,
+
+    rebuttal: `
+"Rebuttal" section.
+Engineer Notes: ${engineerNotes}.
+Keep in as close allignment as possible to what the engineer has said in the input.
+${roofEvidenceBlock}
+Use the evidence above to answer likely counter-arguments point by point.
+${nearbyReportsBlock}
+Do not mention the lack of any weather data.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Use only weather information that does not contradict the inputs from the engineer.
+Use weather information only to support Engineer claims.
+Don't mention the engineer. You are him.
+`,
+
+    limitations: `
+"Limitations" section.
+Typical disclaimers about data reliance, scope boundaries, site access, etc.
+No placeholders.
+Do not repeat details if aleardy in a previous section, such as the property address and the property owner.
+Ensure the output here never contradicts itself or any other part of the report. 
+`,
+
+    openingletter: `
+Write the summary paragraph of the "Opening Letter" for this report.
+The letter's date, addresses, claim details, greeting and signature block are filled in from the form, so write only one paragraph (three to five sentences): the purpose of the investigation and the principal conclusions.
+No heading, greeting, sign-off or placeholders.
+`
+  };
+
+  const normalizedSection = (sectionName || '').trim().toLowerCase();
+  const fallbackPrompt = `Write a professional section: ${sectionName}, using only user inputs.`;
+
+  const basePrompt = basePrompts[normalizedSection] || fallbackPrompt;
+
+  const safeCustom = safeString(customInstructions, '');
+  const finalPrompt = safeCustom 
+    ? `${basePrompt}\n\nAdditional instructions:\n${safeCustom}`
+    : basePrompt;
+
+  // Accepted sections, so this one builds on them instead of repeating them
+  const priorSectionsBlock = buildPriorSectionsBlock(sectionName, generatedSections);
+
+  // The big instructions go in the system message, the section request in the
+  // user message. Training examples are built from exactly these two strings.
+  const userPrompt = `${priorSectionsBlock}
+Now produce the "${sectionName}" section.
+
+${finalPrompt}
+`;
+
+  // Same request without the regeneration instructions, used as the
+  // shared prompt of preference pairs (see store-preference-pair.js)
+  const baseUserPrompt = `${priorSectionsBlock}
+Now produce the "${sectionName}" section.
+
+${basePrompt}
+`;
+
+  return {
+    systemPrompt: bigSystemInstruction,
+    userPrompt,
+    baseUserPrompt
+  };
+}
+
+module.exports = {
+  SECTION_TITLES,
+  SECTION_DEPENDENCIES,
+  SECTIONS_WITHOUT_WEATHER,
+  buildRoofEvidence,
+  generateSectionPrompt
+};
@@ -0,0 +1,103 @@
+/************************************************
+ * netlify/lib/provenance.js
+ ************************************************/
+const { createHash } = require('crypto');
+const { getReportRow } = require('./reports');
+
+/**
+ * Provenance of generated sections: one section_provenance row per
+ * generate-report call, so a report can be traced back to the model,
+ * prompt and weather data behind each section long after it was written.
+ */
+const COLUMNS = 'id, report_id, section_id, model, temperature, prompt_hash, system_prompt, user_prompt, custom_instructions, weather, prompt_tokens, completion_tokens, total_tokens, username, created_at';
+
+/**
+ * sha256 of the exact prompts, to find sections generated from the same prompt.
+ */
+function hashPrompt(systemPrompt, userPrompt) {
+  return createHash('sha256')
+    .update(`${systemPrompt || ''}\n\n${userPrompt || ''}`)
+    .digest('hex');
+}
+
+/**
+ * Save the provenance of one generated section. `prompt` and `usage` are
+ * null when no model was called. Returns the new row id, or null when the
+ * record could not be saved: a missing record should not fail generation.
+ */
+async function recordProvenance(supabase, {
+  reportId, sectionId, model, temperature, prompt, customInstructions, weather, usage, user
+}) {
+  const { data, error } = await supabase
+    .from('section_provenance')
+    .insert([{
+      report_id: reportId || null,
+      section_id: sectionId,
+      model: model || null,
+      temperature: prompt ? temperature : null,
+      prompt_hash: prompt ? hashPrompt(prompt.system, prompt.user) : null,
+      system_prompt: prompt?.system || null,
+      user_prompt: prompt?.user || null,
+      custom_instructions: customInstructions || null,
+      weather: weather || null,
+      prompt_tokens: usage?.prompt_tokens ?? null,
+      completion_tokens: usage?.completion_tokens ?? null,
+      total_tokens: usage?.total_tokens ?? null,
+      user_id: user?.id || null,
+      username: user?.username || null
+    }])
+    .select('id')
+    .single();
+
+  if (error) {
+    console.error('Error saving section provenance:', error);
+    return null;
+  }
+  return data.id;
+}
+
+/**
+ * Provenance records of a report, oldest first.
+ */
+async function listProvenance(supabase, reportId) {
+  const { data, error } = await supabase
+    .from('section_provenance')
+    .select(COLUMNS)
+    .eq('report_id', reportId)
+    .order('created_at', { ascending: true });
+
+  if (error) {
+    console.error('Error listing section provenance:', error);
+    throw new Error('Could not load the provenance records.');
+  }
+  return data || [];
+}
+
+/**
+ * Whether `user` may read or add provenance records of a report: its owner
+ * or an admin. Sections can be generated before the report is first saved;
+ * until then only the engineer who generated them (or an admin) has access.
+ */
+async function canAccessProvenance(supabase, reportId, user) {
+  if (user.role === 'admin') return true;
+  const report = await getReportRow(supabase, reportId);
+  if (report) return report.user_id === user.id;
+
+  const { data, error } = await supabase
+    .from('section_provenance')
+    .select('user_id')
+    .eq('report_id', reportId);
+
+  if (error) {
+    console.error('Error checking section provenance owners:', error);
+    throw new Error('Could not load the provenance records.');
+  }
+  return (data || []).every((row) => row.user_id === user.id);
+}
+
+module.exports = {
+  hashPrompt,
+  recordProvenance,
+  listProvenance,
+  canAccessProvenance
+};
@@ -0,0 +1,140 @@
+/************************************************
+ * netlify/lib/quality-checks.js
+ ************************************************/
+const { safeString } = require('./utils');
+const { ROOF_MATERIAL_TERMS, UPPER_FLOOR_PATTERN } = require('./fact-check');
+
+/**
+ * Deterministic checks used to score a generated section
+ * (evaluation gate for new fine-tuned models).
+ * Every check returns { name, passed, details } and the section
+ * score is the weighted share of passed checks, 0-100.
+ */
+
+// Phrases the prompts forbid: placeholders and statements about missing data
+const PLACEHOLDER_PATTERNS = [
+  /\[e\.g\.[^\]]*\]/i,
+  /\[(third party|insert[^\]]*|name|date|address|client|company)[^\]]*\]/i,
+  /\bN\/A\b/,
+  /\bTBD\b/,
+  /lorem ipsum/i,
+  /\b(no|not|lack of|absence of)\s+(weather\s+)?(data|information)\s+(was|is|were)?\s*(available|provided)/i,
+  /\bwas not (provided|specified|available)\b/i
+];
+
+// Minimum length in words; short, formulaic sections get a lower bar
+const MIN_WORDS = {
+  introduction: 120,
+  authorization: 100,
+  limitations: 100,
+  default: 150
+};
+
+// Heading text each section is expected to contain (markdown or bold lines)
+const REQUIRED_HEADINGS = {
+  observations: [/observation/i],
+  meteorologist: [/meteorolog|weather/i],
+  conclusions: [/conclusion/i, /recommendation/i],
+  rebuttal: [/rebuttal/i],
+  limitations: [/limitation/i]
+};
+
+const CHECK_WEIGHTS = {
+  placeholders: 3,
+  contradictions: 3,
+  length: 1,
+  headings: 1
+};
+
+function checkPlaceholders(text) {
+  const found = PLACEHOLDER_PATTERNS
+    .map((pattern) => (text.match(pattern) || [])[0])
+    .filter(Boolean);
+  return {
+    name: 'placeholders',
+    passed: found.length === 0,
+    details: found
+  };
+}
+
+function checkContradictions(text, context) {
+  const found = [];
+
+  ROOF_MATERIAL_TERMS.forEach(({ flag, pattern, label }) => {
+    if (!context?.[flag] && pattern.test(text)) {
+      found.push(`Mentions ${label}, which was not selected on the form`);
+    }
+  });
+
+  const multiStory = Number(context?.stories) > 1 || UPPER_FLOOR_PATTERN.test(safeString(context?.engineerNotes));
+  if (!multiStory && UPPER_FLOOR_PATTERN.test(text)) {
+    found.push('Mentions an upper floor, but the building was not indicated as multi-story');
+  }
+
+  const claimTypes = (context?.claimType || []).map((c) => c.toLowerCase());
+  ['hail', 'wind', 'foundation'].forEach((type) => {
+    if (!claimTypes.includes(type) && new RegExp(`\\b${type} claim\\b`, 'i').test(text)) {
+      found.push(`Refers to a ${type} claim, which was not selected on the form`);
+    }
+  });
+
+  return {
+    name: 'contradictions',
+    passed: found.length === 0,
+    details: found
+  };
+}
+
+function checkLength(sectionId, text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  const minimum = MIN_WORDS[sectionId] || MIN_WORDS.default;
+  return {
+    name: 'length',
+    passed: words >= minimum,
+    details: [`${words} words (minimum ${minimum})`]
+  };
+}
+
+function checkHeadings(sectionId, text) {
+  const required = REQUIRED_HEADINGS[sectionId] || [];
+  const headingLines = text
+    .split('\n')
+    .filter((line) => /^\s*(#{1,6}\s|\*\*[^*]+\*\*\s*$)/.test(line));
+  const missing = required
+    .filter((pattern) => !headingLines.some((line) => pattern.test(line)))
+    .map((pattern) => `No heading matching ${pattern}`);
+  return {
+    name: 'headings',
+    passed: missing.length === 0,
+    details: missing
+  };
+}
+
+/**
+ * Score one section. Returns { score, checks }.
+ */
+function scoreSection(sectionId, text, context) {
+  const normalizedId = (sectionId || '').trim().toLowerCase();
+  const body = safeString(text);
+
+  const checks = [
+    checkPlaceholders(body),
+    checkContradictions(body, context),
+    checkLength(normalizedId, body),
+    checkHeadings(normalizedId, body)
+  ];
+
+  const totalWeight = checks.reduce((sum, c) => sum + CHECK_WEIGHTS[c.name], 0);
+  const passedWeight = checks
+    .filter((c) => c.passed)
+    .reduce((sum, c) => sum + CHECK_WEIGHTS[c.name], 0);
+
+  return {
+    score: Math.round((passedWeight / totalWeight) * 100),
+    checks
+  };
+}
+
+module.exports = {
+  scoreSection
+};
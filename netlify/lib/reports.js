@@ -0,0 +1,149 @@
+/************************************************
+ * netlify/lib/reports.js
+ ************************************************/
+const { safeString } = require('./utils');
+
+/**
+ * Report drafts: everything the browser needs to resume a report, saved as
+ * one `draft` document per report. The stage and section counts are kept
+ * in their own columns so the dashboard can list drafts without loading them.
+ */
+const STAGES = ['intake', 'sections', 'final'];
+const MAX_DRAFT_BYTES = 4 * 1024 * 1024;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const SUMMARY_COLUMNS = 'id, user_id, project_name, stage, sections_accepted, sections_total, created_at, updated_at';
+
+/**
+ * Stage and section counts of a draft. Sections marked N/A are not counted.
+ */
+function summarizeDraft(draft) {
+  const stage = STAGES.includes(draft?.stage) ? draft.stage : 'intake';
+  const order = Array.isArray(draft?.inputs?.sectionLayout?.order) ? draft.inputs.sectionLayout.order : [];
+  const status = draft?.sections?.status || {};
+  const included = order.filter((id) => status[id] !== 'skipped');
+  return {
+    stage,
+    sectionsAccepted: included.filter((id) => status[id] === 'accepted').length,
+    sectionsTotal: included.length
+  };
+}
+
+/**
+ * "intake", "sections 4/10" or "final"
+ */
+function statusLabel(row) {
+  if (row.stage === 'sections') return `sections ${row.sections_accepted}/${row.sections_total}`;
+  return row.stage;
+}
+
+function toSummary(row) {
+  return {
+    id: row.id,
+    projectName: row.project_name || '',
+    stage: row.stage,
+    status: statusLabel(row),
+    sectionsAccepted: row.sections_accepted,
+    sectionsTotal: row.sections_total,
+    userId: row.user_id,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at
+  };
+}
+
+/**
+ * Drafts of one user, most recently saved first.
+ */
+async function listReports(supabase, userId) {
+  const { data, error } = await supabase
+    .from('reports')
+    .select(SUMMARY_COLUMNS)
+    .eq('user_id', userId)
+    .order('updated_at', { ascending: false });
+
+  if (error) {
+    console.error('Error listing reports:', error);
+    throw new Error('Could not list reports.');
+  }
+  return (data || []).map(toSummary);
+}
+
+/**
+ * A report row, with the draft document when `withDraft` is set.
+ * Returns null when there is no such report.
+ */
+async function getReportRow(supabase, id, { withDraft = false } = {}) {
+  if (!UUID_PATTERN.test(safeString(id))) return null;
+  const { data, error } = await supabase
+    .from('reports')
+    .select(withDraft ? `${SUMMARY_COLUMNS}, draft` : SUMMARY_COLUMNS)
+    .eq('id', id)
+    .maybeSingle();
+
+  if (error) {
+    console.error('Error fetching report:', error);
+    throw new Error('Could not load the report.');
+  }
+  return data;
+}
+
+/**
+ * Check a report id and draft before they are saved.
+ * Throws with a message fit for the user on invalid input.
+ */
+function validateDraft(id, draft) {
+  if (!UUID_PATTERN.test(safeString(id))) throw new Error('Invalid report id.');
+  if (!draft || typeof draft !== 'object' || Array.isArray(draft)) throw new Error('Missing draft.');
+  if (Buffer.byteLength(JSON.stringify(draft)) > MAX_DRAFT_BYTES) {
+    throw new Error(`Drafts must be smaller than ${MAX_DRAFT_BYTES / (1024 * 1024)} MB.`);
+  }
+}
+
+/**
+ * Create or overwrite the draft of a report, checked with validateDraft.
+ * `existing` is the current row (null for a new report); its owner is kept
+ * when someone else saves it.
+ */
+async function saveReport(supabase, { id, userId, draft, existing }) {
+  const { stage, sectionsAccepted, sectionsTotal } = summarizeDraft(draft);
+  const row = {
+    project_name: safeString(draft.inputs?.projectName).trim().slice(0, 200) || null,
+    stage,
+    sections_accepted: sectionsAccepted,
+    sections_total: sectionsTotal,
+    draft,
+    updated_at: new Date().toISOString()
+  };
+
+  const query = existing
+    ? supabase.from('reports').update(row).eq('id', id)
+    : supabase.from('reports').insert([{ ...row, id, user_id: userId }]);
+  const { data, error } = await query.select(SUMMARY_COLUMNS).single();
+
+  if (error) {
+    console.error('Error saving report:', error);
+    throw new Error('Could not save the report.');
+  }
+  return toSummary(data);
+}
+
+async function deleteReport(supabase, id) {
+  const { error } = await supabase
+    .from('reports')
+    .delete()
+    .eq('id', id);
+
+  if (error) {
+    console.error('Error deleting report:', error);
+    throw new Error('Could not delete the report.');
+  }
+}
+
+module.exports = {
+  summarizeDraft,
+  toSummary,
+  listReports,
+  getReportRow,
+  validateDraft,
+  saveReport,
+  deleteReport
+};
@@ -0,0 +1,30 @@
+/************************************************
+ * netlify/lib/text-diff.js
+ ************************************************/
+const { diffWordsWithSpace } = require('diff');
+
+function countWords(text) {
+  return text.split(/\s+/).filter(Boolean).length;
+}
+
+/**
+ * Word-level diff between a section as generated and as edited by the
+ * engineer. Returns { changes: [{ op: 'equal'|'insert'|'delete', text }],
+ * wordsAdded, wordsRemoved }.
+ */
+function diffSectionText(original, edited) {
+  const changes = diffWordsWithSpace(String(original || ''), String(edited || '')).map((part) => ({
+    op: part.added ? 'insert' : part.removed ? 'delete' : 'equal',
+    text: part.value
+  }));
+
+  return {
+    changes,
+    wordsAdded: changes.filter((c) => c.op === 'insert').reduce((sum, c) => sum + countWords(c.text), 0),
+    wordsRemoved: changes.filter((c) => c.op === 'delete').reduce((sum, c) => sum + countWords(c.text), 0)
+  };
+}
+
+module.exports = {
+  diffSectionText
+};
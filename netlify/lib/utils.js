@@ -0,0 +1,42 @@
+/************************************************
+ * netlify/lib/utils.js
+ ************************************************/
+
+/**
+ * Utility function: Safely convert a value to a string,
+ * returning fallback if it's null/undefined or empty.
+ */
+function safeString(value, fallback = '') {
+  if (typeof value === 'string' && value.trim() !== '') {
+    return value;
+  }
+  return fallback;
+}
+
+/**
+ * Utility function: Safely join an array. If it's not a valid array
+ * or it's empty, return an empty string.
+ */
+function safeArrayJoin(arr, separator = ', ') {
+  if (Array.isArray(arr) && arr.length > 0) {
+    return arr.join(separator);
+  }
+  return '';
+}
+
+/**
+ * Utility function: Safely parse a date.
+ * If parsing fails or the input is missing, return null.
+ */
+function safeParseDate(dateString) {
+  if (!dateString) return null;
+  const d = new Date(dateString);
+  if (isNaN(d.getTime())) return null;
+  return d;
+}
+
+module.exports = {
+  safeString,
+  safeArrayJoin,
+  safeParseDate
+};
@@ -0,0 +1,59 @@
+/************************************************
+ * netlify/lib/weather/cache.js
+ ************************************************/
+
+/**
+ * Persistent cache for provider results in the `weather_cache` table,
+ * keyed by (provider, kind, cache_key). Cache errors are logged and the
+ * provider is called as if nothing was cached.
+ */
+async function readCache(supabase, provider, kind, key) {
+  const { data, error } = await supabase
+    .from('weather_cache')
+    .select('payload')
+    .eq('provider', provider)
+    .eq('kind', kind)
+    .eq('cache_key', key)
+    .maybeSingle();
+
+  if (error) {
+    console.error(`Error reading weather cache (${kind} ${key}):`, error);
+    return null;
+  }
+  return data?.payload ?? null;
+}
+
+async function writeCache(supabase, provider, kind, key, payload) {
+  const { error } = await supabase
+    .from('weather_cache')
+    .upsert({ provider, kind, cache_key: key, payload }, { onConflict: 'provider,kind,cache_key' });
+
+  if (error) {
+    console.error(`Error writing weather cache (${kind} ${key}):`, error);
+  }
+}
+
+/**
+ * Return the cached payload, or run `fetchFn` and cache its result.
+ * `store: false` skips writing (e.g. recent dates whose data can still change).
+ */
+async function cached(supabase, provider, kind, key, fetchFn, { store = true } = {}) {
+  if (!supabase || !provider.cacheable) {
+    return fetchFn();
+  }
+
+  const hit = await readCache(supabase, provider.name, kind, key);
+  if (hit !== null) {
+    return hit;
+  }
+
+  const payload = await fetchFn();
+  if (store) {
+    await writeCache(supabase, provider.name, kind, key, payload);
+  }
+  return payload;
+}
+
+module.exports = {
+  cached
+};
@@ -0,0 +1,136 @@
+/************************************************
+ * netlify/lib/weather/index.js
+ ************************************************/
+const { safeParseDate } = require('../utils');
+const { cached } = require('./cache');
+const { buildWeatherData } = require('./timeline');
+const { rankNearbyReports } = require('./storm-reports');
+
+/**
+ * Weather for a report, from the provider chosen by WEATHER_PROVIDER
+ * ("visualcrossing" by default, "fixture" for offline work).
+ *
+ * A provider is a module exporting:
+ *   name                 cache namespace
+ *   cacheable            whether results go to the weather_cache table
+ *   geocode(address)     -> { lat, lon, placeName }
+ *   getHourlyWeather(lat, lon, { startDate, endDate, dateOfLoss })
+ *                        -> { timezone, days } (days as in ./timeline.js)
+ *   getStormReports(date) -> [{ type, utcTime, magnitude, location, county,
+ *                             state, lat, lon, comments }] (as in ./storm-reports.js)
+ */
+const PROVIDERS = {
+  visualcrossing: './providers/visual-crossing',
+  fixture: './providers/fixture'
+};
+
+// Days of weather fetched on each side of the date of loss (0-7)
+const WEATHER_WINDOW_DAYS = Math.min(Math.max(parseInt(process.env.WEATHER_WINDOW_DAYS || '3', 10) || 0, 0), 7);
+// Radius for nearby hail and wind reports
+const STORM_REPORT_RADIUS_MILES = 50;
+// Results for days closer to today than this can still change, so they are not cached
+const CACHE_SETTLE_DAYS = 2;
+
+function getProvider() {
+  const name = (process.env.WEATHER_PROVIDER || 'visualcrossing').trim().toLowerCase();
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown WEATHER_PROVIDER "${name}". Use ${Object.keys(PROVIDERS).join(' or ')}.`);
+  }
+  return require(PROVIDERS[name]);
+}
+
+function toDateString(dateObj) {
+  return dateObj.toISOString().split('T')[0];
+}
+
+function addDays(dateObj, days) {
+  const copy = new Date(dateObj);
+  copy.setUTCDate(copy.getUTCDate() + days);
+  return copy;
+}
+
+function coordinateKey(lat, lon) {
+  return `${Number(lat).toFixed(4)},${Number(lon).toFixed(4)}`;
+}
+
+/**
+ * Fetch (or read from the cache) the weather for a report:
+ * the hourly timeline for WEATHER_WINDOW_DAYS days on each side of the date
+ * of loss and the storm reports within STORM_REPORT_RADIUS_MILES.
+ * Returns { success, data } or { success: false, error }.
+ */
+async function getReportWeather(supabase, location, dateString) {
+  try {
+    if (!location || !dateString) {
+      return { success: true, data: {} };
+    }
+
+    const dateObj = safeParseDate(dateString);
+    if (!dateObj) {
+      return { success: true, data: {} };
+    }
+
+    // If the date is in the future, handle it gracefully
+    const today = new Date();
+    if (dateObj > today) {
+      return {
+        success: true,
+        data: {
+          note: `Weather data not found for a future date: ${toDateString(dateObj)}`
+        }
+      };
+    }
+
+    const provider = getProvider();
+    const address = String(location).trim();
+    const dateOfLoss = toDateString(dateObj);
+    const startDate = toDateString(addDays(dateObj, -WEATHER_WINDOW_DAYS));
+    // History only: the window stops at today
+    const endDate = toDateString(new Date(Math.min(addDays(dateObj, WEATHER_WINDOW_DAYS), today)));
+    const settled = toDateString(addDays(today, -CACHE_SETTLE_DAYS));
+
+    // Step 1: Get Lat/Lon of the location
+    const place = await cached(supabase, provider, 'geocode', address.toLowerCase(),
+      () => provider.geocode(address));
+    const coords = coordinateKey(place.lat, place.lon);
+
+    // Step 2: Hourly weather for the whole window
+    const hourly = await cached(supabase, provider, 'hourly', `${coords}|${startDate}|${endDate}`,
+      () => provider.getHourlyWeather(place.lat, place.lon, { startDate, endDate, dateOfLoss }),
+      { store: endDate <= settled });
+
+    const data = buildWeatherData(hourly.days, dateOfLoss, {
+      windowDays: WEATHER_WINDOW_DAYS,
+      timezone: hourly.timezone
+    });
+
+    // Step 3: Hail and wind reports near the property. Missing reports
+    // should not cost the report its weather data.
+    try {
+      data.nearbyReports = await cached(supabase, provider, 'storm-reports',
+        `${coords}|${dateOfLoss}|${STORM_REPORT_RADIUS_MILES}`,
+        async () => rankNearbyReports(await provider.getStormReports(dateOfLoss), place.lat, place.lon, dateOfLoss, {
+          radiusMiles: STORM_REPORT_RADIUS_MILES,
+          timezone: hourly.timezone
+        }),
+        { store: dateOfLoss <= settled });
+    } catch (stormErr) {
+      console.error('Storm reports unavailable:', stormErr.message);
+    }
+
+    // Lets the client send this back for the report's other sections
+    data.query = { address, dateOfLoss, provider: provider.name };
+
+    return {
+      success: true,
+      data
+    };
+  } catch (error) {
+    console.error('Weather provider error:', error);
+    return { success: false, error: error.message };
+  }
+}
+
+module.exports = {
+  getReportWeather
+};
@@ -0,0 +1,103 @@
+/************************************************
+ * netlify/lib/weather/providers/fixture.js
+ ************************************************/
+const path = require('path');
+
+/**
+ * Offline provider for development and tests (WEATHER_PROVIDER=fixture).
+ * Uses the bundled fixture named by WEATHER_FIXTURE (default "hail-storm"),
+ * or the file at WEATHER_FIXTURE if it is a path (local runs only, since
+ * only the bundled fixtures are deployed). Fixture days are relative to the
+ * date of loss, so any intake form works:
+ *   {
+ *     geocode: { lat, lon, placeName },
+ *     timezone,
+ *     quietDay: { tempMax, tempMin, temp, humidity, windGust, windDir, conditions },
+ *     days: [{ offset: 0, ...day fields, hours: [{ time: 'HH:MM', ... }] }],
+ *     stormReports: [{ type, utcTime, magnitude, location, county, state, lat, lon, comments }]
+ *   }
+ * Hours a fixture day does not list use the quiet-day values.
+ */
+// Required (not read from disk) so the files are bundled with the functions
+const FIXTURES = {
+  'hail-storm': require('../fixtures/hail-storm.json')
+};
+
+function loadFixture() {
+  const name = process.env.WEATHER_FIXTURE || 'hail-storm';
+  if (name.endsWith('.json')) return require(path.resolve(name));
+  if (!FIXTURES[name]) {
+    throw new Error(`Unknown weather fixture "${name}". Bundled fixtures: ${Object.keys(FIXTURES).join(', ')}.`);
+  }
+  return FIXTURES[name];
+}
+
+function addDays(dateString, days) {
+  const date = new Date(`${dateString}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().split('T')[0];
+}
+
+function buildDay(fixture, date, offset) {
+  const quiet = fixture.quietDay || {};
+  const entry = (fixture.days || []).find((d) => d.offset === offset) || {};
+  const listed = Object.fromEntries((entry.hours || []).map((h) => [h.time, h]));
+
+  const hours = Array.from({ length: 24 }, (_, h) => {
+    const time = `${String(h).padStart(2, '0')}:00`;
+    return {
+      time,
+      temp: quiet.temp,
+      precip: 0,
+      precipTypes: [],
+      windGust: quiet.windGust ?? 0,
+      windSpeed: quiet.windSpeed ?? 0,
+      windDir: quiet.windDir,
+      conditions: quiet.conditions || '',
+      severeRisk: 0,
+      ...listed[time]
+    };
+  });
+
+  const { offset: _offset, hours: _hours, ...dayFields } = entry;
+  return {
+    tempMax: quiet.tempMax,
+    tempMin: quiet.tempMin,
+    temp: quiet.temp,
+    humidity: quiet.humidity,
+    conditions: quiet.conditions || '',
+    snow: 0,
+    ...dayFields,
+    date,
+    precip: Math.round(hours.reduce((sum, h) => sum + (Number(h.precip) || 0), 0) * 100) / 100,
+    precipTypes: [...new Set(hours.flatMap((h) => h.precipTypes || []))],
+    windGust: Math.max(...hours.map((h) => Number(h.windGust) || 0)),
+    hours
+  };
+}
+
+async function geocode(address) {
+  return { ...loadFixture().geocode, placeName: address };
+}
+
+async function getHourlyWeather(lat, lon, { startDate, endDate, dateOfLoss }) {
+  const fixture = loadFixture();
+  const days = [];
+  for (let date = startDate; date <= endDate; date = addDays(date, 1)) {
+    const offset = Math.round((Date.parse(date) - Date.parse(dateOfLoss)) / 86400000);
+    days.push(buildDay(fixture, date, offset));
+  }
+  return { timezone: fixture.timezone || '', days };
+}
+
+async function getStormReports() {
+  return loadFixture().stormReports || [];
+}
+
+module.exports = {
+  name: 'fixture',
+  cacheable: false,
+  geocode,
+  getHourlyWeather,
+  getStormReports
+};
@@ -0,0 +1,94 @@
+/************************************************
+ * netlify/lib/weather/providers/visual-crossing.js
+ ************************************************/
+const axios = require('axios');
+const { fetchSpcReports } = require('../storm-reports');
+
+/**
+ * Live provider: Mapbox geocoding, Visual Crossing hourly history and
+ * SPC storm reports. Needs MAPBOX_API_KEY and WEATHER_API_KEY.
+ */
+const VISUAL_CROSSING_URL = 'https://weather.visualcrossing.com/VisualCrossingWebServices/rest/services/timeline';
+const ELEMENTS = 'datetime,tempmax,tempmin,temp,humidity,precip,preciptype,snow,windgust,windspeed,winddir,conditions,severerisk';
+
+async function geocode(address) {
+  const response = await axios.get(`https://api.mapbox.com/geocoding/v5/mapbox.places/${encodeURIComponent(address)}.json`, {
+    params: {
+      access_token: process.env.MAPBOX_API_KEY,
+      limit: 1
+    }
+  });
+
+  const feature = response.data?.features?.[0];
+  if (!Array.isArray(feature?.center) || feature.center.length < 2) {
+    throw new Error(`Could not geocode address: ${address}`);
+  }
+
+  const [lon, lat] = feature.center;
+  return { lat, lon, placeName: feature.place_name || address };
+}
+
+function toNumber(value, fallback = 0) {
+  const n = Number(value);
+  return Number.isFinite(n) ? n : fallback;
+}
+
+/**
+ * Convert a Visual Crossing timeline day into the provider-neutral
+ * day expected by ../timeline.js.
+ */
+function normalizeDay(day) {
+  return {
+    date: day.datetime,
+    tempMax: day.tempmax,
+    tempMin: day.tempmin,
+    temp: day.temp,
+    humidity: day.humidity,
+    precip: toNumber(day.precip),
+    precipTypes: Array.isArray(day.preciptype) ? day.preciptype : [],
+    snow: toNumber(day.snow),
+    windGust: toNumber(day.windgust ?? day.windspeed),
+    conditions: day.conditions || '',
+    hours: (Array.isArray(day.hours) ? day.hours : []).map((hour) => ({
+      time: String(hour.datetime || '').slice(0, 5),
+      temp: hour.temp,
+      precip: toNumber(hour.precip),
+      precipTypes: Array.isArray(hour.preciptype) ? hour.preciptype : [],
+      windGust: toNumber(hour.windgust ?? hour.windspeed),
+      windSpeed: hour.windspeed,
+      windDir: hour.winddir,
+      conditions: hour.conditions || '',
+      severeRisk: hour.severerisk
+    }))
+  };
+}
+
+async function getHourlyWeather(lat, lon, { startDate, endDate }) {
+  const response = await axios.get(`${VISUAL_CROSSING_URL}/${lat},${lon}/${startDate}/${endDate}`, {
+    params: {
+      unitGroup: 'us',
+      include: 'days,hours',
+      elements: ELEMENTS,
+      contentType: 'json',
+      key: process.env.WEATHER_API_KEY
+    }
+  });
+
+  const days = Array.isArray(response.data?.days) ? response.data.days : [];
+  if (days.length === 0) {
+    throw new Error('Visual Crossing returned no days.');
+  }
+
+  return {
+    timezone: response.data.timezone || '',
+    days: days.map(normalizeDay)
+  };
+}
+
+module.exports = {
+  name: 'visualcrossing',
+  cacheable: true,
+  geocode,
+  getHourlyWeather,
+  getStormReports: fetchSpcReports
+};
@@ -0,0 +1,174 @@
+/************************************************
+ * netlify/lib/weather/storm-reports.js
+ ************************************************/
+const axios = require('axios');
+const { getBoundingCoordinates, distanceMiles, bearingDegrees, toCompass } = require('../geo');
+
+/**
+ * Hail and damaging-wind reports near the property, from the NOAA Storm
+ * Prediction Center daily storm report CSVs. An SPC "day" runs from 12:00 UTC
+ * on the date to 11:59 UTC the next morning, which covers the afternoon and
+ * overnight storms of the date of loss in US time zones.
+ *
+ * CSV columns: Time (HHMM UTC), Size (hundredths of an inch) or Speed (mph or UNK),
+ * Location, County, State, Lat, Lon, Comments
+ */
+const SPC_REPORTS_URL = 'https://www.spc.noaa.gov/climo/reports';
+const SPC_SOURCE = 'NOAA Storm Prediction Center storm reports';
+const MAX_REPORTS = 20;
+
+/**
+ * Parse one SPC CSV. Comments may contain commas, so everything after
+ * the seventh column is joined back together.
+ */
+function parseSpcCsv(csvText, type) {
+  return String(csvText || '')
+    .split(/\r?\n/)
+    .slice(1)
+    .map((line) => line.split(','))
+    .filter((cols) => cols.length >= 7 && /^\d{3,4}$/.test(cols[0].trim()))
+    .map((cols) => {
+      const rawMagnitude = cols[1].trim();
+      const magnitude = Number(rawMagnitude);
+      return {
+        type,
+        utcTime: cols[0].trim().padStart(4, '0'),
+        // Hail sizes are reported in hundredths of an inch
+        magnitude: Number.isFinite(magnitude)
+          ? (type === 'hail' ? magnitude / 100 : magnitude)
+          : null,
+        location: cols[2].trim(),
+        county: cols[3].trim(),
+        state: cols[4].trim(),
+        lat: Number(cols[5]),
+        lon: Number(cols[6]),
+        comments: cols.slice(7).join(',').trim()
+      };
+    })
+    .filter((r) => Number.isFinite(r.lat) && Number.isFinite(r.lon));
+}
+
+/**
+ * Local date and time of a report. Times before 12:00 UTC belong to the
+ * next UTC day (see the SPC day above).
+ */
+function reportDateTime(dateString, utcTime, timezone) {
+  const timestamp = new Date(`${dateString}T${utcTime.slice(0, 2)}:${utcTime.slice(2)}:00Z`);
+  if (Number(utcTime) < 1200) timestamp.setUTCDate(timestamp.getUTCDate() + 1);
+
+  if (!timezone) {
+    return {
+      date: timestamp.toISOString().split('T')[0],
+      time: `${utcTime.slice(0, 2)}:${utcTime.slice(2)} UTC`
+    };
+  }
+
+  const parts = Object.fromEntries(
+    new Intl.DateTimeFormat('en-CA', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: '2-digit',
+      day: '2-digit',
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).formatToParts(timestamp).map((p) => [p.type, p.value])
+  );
+  return {
+    date: `${parts.year}-${parts.month}-${parts.day}`,
+    time: `${parts.hour}:${parts.minute}`
+  };
+}
+
+async function fetchSpcFile(dateString, type) {
+  const yymmdd = dateString.replace(/-/g, '').slice(2);
+  try {
+    const response = await axios.get(`${SPC_REPORTS_URL}/${yymmdd}_rpts_filtered_${type}.csv`, {
+      responseType: 'text'
+    });
+    return parseSpcCsv(response.data, type);
+  } catch (error) {
+    // No file means SPC has nothing (yet) for that day; anything else is a real failure
+    if (error.response?.status === 404) return [];
+    throw new Error(`SPC ${type} reports unavailable for ${dateString}: ${error.message}`);
+  }
+}
+
+/**
+ * All SPC hail and wind reports for the day, nationwide.
+ * Returns [{ type, utcTime, magnitude, location, county, state, lat, lon, comments }].
+ */
+async function fetchSpcReports(dateString) {
+  const [hail, wind] = await Promise.all([
+    fetchSpcFile(dateString, 'hail'),
+    fetchSpcFile(dateString, 'wind')
+  ]);
+  return [...hail, ...wind];
+}
+
+/**
+ * Reports within `radiusMiles` of the property, closest first (larger hail /
+ * stronger wind first at equal distance). `reports` are in the shape returned
+ * by fetchSpcReports. Returns { radiusMiles, source, reports: [{ type, magnitude,
+ * distanceMiles, bearing, date, time, location, county, state, comments }] }.
+ */
+function rankNearbyReports(reports, lat, lon, dateString, { radiusMiles = 50, timezone = '', source = SPC_SOURCE } = {}) {
+  const { minLat, maxLat, minLon, maxLon } = getBoundingCoordinates(lat, lon, radiusMiles);
+
+  const nearby = (reports || [])
+    .filter((r) => r.lat >= minLat && r.lat <= maxLat && r.lon >= minLon && r.lon <= maxLon)
+    .map((r) => {
+      const { utcTime, lat: reportLat, lon: reportLon, ...rest } = r;
+      return {
+        ...rest,
+        distanceMiles: Math.round(distanceMiles(lat, lon, reportLat, reportLon) * 10) / 10,
+        bearing: toCompass(bearingDegrees(lat, lon, reportLat, reportLon)),
+        ...reportDateTime(dateString, utcTime, timezone)
+      };
+    })
+    // The box's corners are farther than the radius
+    .filter((r) => r.distanceMiles <= radiusMiles)
+    .sort((a, b) => a.distanceMiles - b.distanceMiles || (b.magnitude || 0) - (a.magnitude || 0))
+    .slice(0, MAX_REPORTS);
+
+  return {
+    radiusMiles,
+    source,
+    reports: nearby
+  };
+}
+
+function describeReport(report, dateOfLoss) {
+  const what = report.type === 'hail'
+    ? `${report.magnitude != null ? report.magnitude.toFixed(2) : 'Unknown size'} in hail`
+    : (report.magnitude != null ? `${report.magnitude} mph wind gust` : 'Damaging wind (speed unknown)');
+  const when = report.date && report.date !== dateOfLoss
+    ? `${report.date} ${report.time}`
+    : report.time;
+  const where = [report.location, report.county && `${report.county} County`, report.state]
+    .filter(Boolean)
+    .join(', ');
+  return `${what} reported ${report.distanceMiles} mi ${report.bearing} at ${when} (${where})`;
+}
+
+/**
+ * Ranked list for the prompts, e.g.
+ * "1. 1.75 in hail reported 3.2 mi NW at 16:40 (3 N Plano, Collin County, TX)".
+ * Empty string when there are no reports.
+ */
+function formatNearbyReports(weatherData) {
+  const nearby = weatherData?.nearbyReports;
+  if (!nearby || !Array.isArray(nearby.reports) || nearby.reports.length === 0) return '';
+
+  const dateOfLoss = weatherData.timeline?.dateOfLoss;
+  return [
+    `Hail and wind reports within ${nearby.radiusMiles} miles of the property (${nearby.source}), closest first; distance and direction are from the property, times are local unless marked UTC:`,
+    ...nearby.reports.map((r, i) => `${i + 1}. ${describeReport(r, dateOfLoss)}`)
+  ].join('\n');
+}
+
+module.exports = {
+  fetchSpcReports,
+  rankNearbyReports,
+  formatNearbyReports
+};
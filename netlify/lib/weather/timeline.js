@@ -0,0 +1,198 @@
+/************************************************
+ * netlify/lib/weather/timeline.js
+ ************************************************/
+const { toCompass } = require('../geo');
+
+/**
+ * Turns hourly weather for the days around the date of loss into:
+ * - the date-of-loss summary fields the prompts have always used
+ *   (precipitationType, totalPrecip, maxWindGust, ...), and
+ * - `timeline`: one row per day plus the individual storm hours, which the
+ *   Meteorologist Report receives as markdown tables (formatWeatherTimeline).
+ *
+ * Input days are provider-neutral:
+ *   { date: 'YYYY-MM-DD', tempMax, tempMin, temp, humidity, precip, precipTypes: [],
+ *     snow, windGust, conditions,
+ *     hours: [{ time: 'HH:MM', temp, precip, precipTypes: [], windGust, windSpeed,
+ *               windDir, conditions, severeRisk }] }
+ */
+
+// An hour is listed in the storm table if it has precipitation, a gust at
+// least this strong, or a hail indicator
+const STORM_GUST_MPH = 40;
+// Visual Crossing severe risk (0-100) that counts as a hail indicator during a thunderstorm
+const SEVERE_RISK_THRESHOLD = 30;
+const MAX_STORM_HOURS = 48;
+
+function round(value, digits = 2) {
+  const factor = 10 ** digits;
+  return Math.round((Number(value) || 0) * factor) / factor;
+}
+
+/**
+ * Hail named in the precipitation type or conditions (not just a risk of it).
+ */
+function hailObserved(record) {
+  const types = (record.precipTypes || []).map((t) => String(t).toLowerCase());
+  return types.includes('hail') || /hail/i.test(record.conditions || '');
+}
+
+/**
+ * Reasons an hour (or day) suggests hail. Empty when there is none.
+ */
+function hailIndicators(record) {
+  const indicators = [];
+  const types = (record.precipTypes || []).map((t) => String(t).toLowerCase());
+  if (types.includes('hail')) indicators.push('hail reported');
+  if (types.includes('ice')) indicators.push('ice pellets');
+  if (/hail/i.test(record.conditions || '')) indicators.push('hail in conditions');
+  if (Number(record.severeRisk) >= SEVERE_RISK_THRESHOLD && /thunder|storm/i.test(record.conditions || '')) {
+    indicators.push(`severe risk ${record.severeRisk}`);
+  }
+  return indicators;
+}
+
+function precipitationType(record, hailFound) {
+  if (hailFound) return 'Hail';
+  if (Number(record.snow) > 0) return 'Snow';
+  const types = record.precipTypes || [];
+  if (types.length > 0) return types.map((t) => t[0].toUpperCase() + t.slice(1)).join(', ');
+  if (Number(record.precip) > 0) return 'Rain';
+  return '';
+}
+
+function summarizeDay(day) {
+  const hours = day.hours || [];
+  const peak = hours.reduce(
+    (best, h) => (Number(h.windGust) > Number(best?.windGust || -1) ? h : best),
+    null
+  );
+  const indicators = [...new Set([
+    ...hailIndicators(day),
+    ...hours.flatMap((h) => hailIndicators(h).map((i) => `${i} at ${h.time}`))
+  ])];
+
+  return {
+    date: day.date,
+    maxWindGust: round(peak ? peak.windGust : day.windGust, 1),
+    peakGustTime: peak?.time || '',
+    peakGustDirection: toCompass(peak?.windDir),
+    precip: round(day.precip),
+    precipType: precipitationType(day, hailObserved(day) || hours.some(hailObserved)),
+    hailIndicators: indicators,
+    conditions: day.conditions || ''
+  };
+}
+
+// Days between two YYYY-MM-DD dates
+function daysApart(a, b) {
+  return Math.abs(Date.parse(a) - Date.parse(b)) / 86400000;
+}
+
+/**
+ * Hours with precipitation, strong gusts or hail indicators, in time order.
+ * When there are more than MAX_STORM_HOURS, the date of loss is kept first
+ * and the days nearest to it fill the rest.
+ */
+function stormHours(days, dateOfLoss) {
+  const hours = days
+    .flatMap((day) => (day.hours || []).map((h) => ({ ...h, date: day.date })))
+    .filter((h) => Number(h.precip) > 0
+      || Number(h.windGust) >= STORM_GUST_MPH
+      || hailIndicators(h).length > 0);
+
+  const kept = new Set(hours
+    .map((h, index) => ({ index, distance: dateOfLoss ? daysApart(h.date, dateOfLoss) : 0 }))
+    .sort((a, b) => a.distance - b.distance || a.index - b.index)
+    .slice(0, MAX_STORM_HOURS)
+    .map((h) => h.index));
+
+  return hours
+    .filter((h, index) => kept.has(index))
+    .map((h) => {
+      const indicators = hailIndicators(h);
+      return {
+        date: h.date,
+        time: h.time,
+        windGust: round(h.windGust, 1),
+        windDirection: toCompass(h.windDir),
+        precip: round(h.precip),
+        precipType: precipitationType(h, hailObserved(h)),
+        hailIndicators: indicators,
+        conditions: h.conditions || ''
+      };
+    });
+}
+
+/**
+ * Build the weatherData object passed to the prompts.
+ * `meta` is { windowDays, timezone }.
+ */
+function buildWeatherData(days, dateOfLoss, meta = {}) {
+  const sorted = [...(days || [])].sort((a, b) => a.date.localeCompare(b.date));
+  const lossDay = sorted.find((d) => d.date === dateOfLoss);
+  const result = {};
+
+  if (lossDay) {
+    const lossSummary = summarizeDay(lossDay);
+    if (lossSummary.precipType) result.precipitationType = lossSummary.precipType;
+    if (Number(lossDay.precip) > 0) result.totalPrecip = `${round(lossDay.precip)} inches`;
+    if (Number(lossDay.snow) > 0) result.snowAmount = `${round(lossDay.snow)} inches`;
+    result.maxTemp = `${lossDay.tempMax}°F`;
+    result.minTemp = `${lossDay.tempMin}°F`;
+    result.avgTemp = `${lossDay.temp}°F`;
+    result.maxWindGust = `${lossSummary.maxWindGust} mph`;
+    if (lossSummary.peakGustTime) result.peakGustTime = lossSummary.peakGustTime;
+    result.humidity = `${lossDay.humidity}%`;
+    result.conditions = lossDay.conditions;
+  }
+
+  if (sorted.length > 0) {
+    result.timeline = {
+      dateOfLoss,
+      windowDays: meta.windowDays ?? null,
+      timezone: meta.timezone || '',
+      days: sorted.map(summarizeDay),
+      stormHours: stormHours(sorted, dateOfLoss)
+    };
+  }
+
+  return result;
+}
+
+function cell(value) {
+  return String(value ?? '').replace(/\|/g, '/').replace(/\n/g, ' ');
+}
+
+/**
+ * Markdown tables for the prompt. Empty string when there is no timeline.
+ */
+function formatWeatherTimeline(weatherData) {
+  const timeline = weatherData?.timeline;
+  if (!timeline || !Array.isArray(timeline.days) || timeline.days.length === 0) return '';
+
+  const zone = timeline.timezone ? ` (local time, ${timeline.timezone})` : ' (local time)';
+  const lines = [
+    `Daily weather around the date of loss${zone}:`,
+    '| Date | Peak gust (mph) | Peak gust time | Precip (in) | Precip type | Hail indicators | Conditions |',
+    '|---|---|---|---|---|---|---|',
+    ...timeline.days.map((d) => `| ${d.date}${d.date === timeline.dateOfLoss ? ' (date of loss)' : ''} | ${d.maxWindGust} | ${cell(`${d.peakGustTime} ${d.peakGustDirection || ''}`.trim())} | ${d.precip} | ${cell(d.precipType)} | ${cell(d.hailIndicators.join('; ') || 'none')} | ${cell(d.conditions)} |`)
+  ];
+
+  if (Array.isArray(timeline.stormHours) && timeline.stormHours.length > 0) {
+    lines.push(
+      '',
+      `Storm hours (precipitation, gusts of ${STORM_GUST_MPH} mph or more, or hail indicators)${zone}:`,
+      '| Date | Time | Gust (mph) | Direction | Precip (in) | Precip type | Hail indicators | Conditions |',
+      '|---|---|---|---|---|---|---|---|',
+      ...timeline.stormHours.map((h) => `| ${h.date} | ${h.time} | ${h.windGust} | ${h.windDirection} | ${h.precip} | ${cell(h.precipType)} | ${cell(h.hailIndicators.join('; ') || 'none')} | ${cell(h.conditions)} |`)
+    );
+  }
+
+  return lines.join('\n');
+}
+
+module.exports = {
+  buildWeatherData,
+  formatWeatherTimeline
+};
@@ -0,0 +1,43 @@
+/************************************************
+ * scripts/create-user.js
+ *
+ * Bootstrap an account (e.g. the first admin) directly in Supabase:
+ *   SUPABASE_URL=... SUPABASE_SERVICE_ROLE_KEY=... \
+ *     node scripts/create-user.js <username> <password> [role] [full name]
+ * After that, admins can manage accounts with the manage-users function.
+ ************************************************/
+const { createClient } = require('@supabase/supabase-js');
+const { ROLES, hashPassword } = require('../netlify/lib/auth');
+
+async function main() {
+  const [username, password, role = 'engineer', ...nameParts] = process.argv.slice(2);
+
+  if (!username || !password) {
+    console.error('Usage: node scripts/create-user.js <username> <password> [role] [full name]');
+    process.exit(1);
+  }
+  if (!ROLES.includes(role)) {
+    console.error(`Role must be one of: ${ROLES.join(', ')}`);
+    process.exit(1);
+  }
+
+  const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY);
+  const { data, error } = await supabase
+    .from('users')
+    .insert([{
+      username: username.trim().toLowerCase(),
+      password_hash: hashPassword(password),
+      role,
+      full_name: nameParts.join(' ') || null
+    }])
+    .select('id, username, role')
+    .single();
+
+  if (error) {
+    console.error('Could not create user:', error.message);
+    process.exit(1);
+  }
+  console.log('Created user:', data);
+}
+
+main();
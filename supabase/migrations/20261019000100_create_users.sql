@@ -0,0 +1,11 @@
+-- Server-side accounts for the report generator.
+-- Passwords are stored as scrypt hashes ("scrypt$<salt>$<hash>"), see netlify/lib/auth.js.
+create table if not exists users (
+  id uuid primary key default gen_random_uuid(),
+  username text not null unique,
+  password_hash text not null,
+  role text not null default 'engineer' check (role in ('engineer', 'reviewer', 'admin')),
+  full_name text,
+  active boolean not null default true,
+  created_at timestamptz not null default now()
+);
@@ -0,0 +1,15 @@
+-- Every per-section rating and its written feedback, stored as soon as it is submitted.
+create table if not exists section_ratings (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null,
+  section_id text not null,
+  rating smallint not null check (rating between 1 and 10),
+  feedback text not null default '',
+  user_id uuid references users (id),
+  username text,
+  model text,
+  generated_text text not null default '',
+  created_at timestamptz not null default now()
+);
+
+create index if not exists section_ratings_report_idx on section_ratings (report_id, section_id);
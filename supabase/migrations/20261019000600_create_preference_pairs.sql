@@ -0,0 +1,16 @@
+-- Every section regeneration: (prompt, rejected output, instructions, chosen output).
+-- Exported by fine-tune.js as preference-format JSONL.
+create table if not exists preference_pairs (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null,
+  section_id text not null,
+  system_prompt text not null,
+  user_prompt text not null,
+  rejected_output text not null,
+  instructions text not null default '',
+  chosen_output text not null,
+  model text,
+  user_id uuid references users (id),
+  username text,
+  created_at timestamptz not null default now()
+);
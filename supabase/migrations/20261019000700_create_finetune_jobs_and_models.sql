@@ -0,0 +1,31 @@
+-- History of every fine-tune job started by fine-tune.js.
+create table if not exists finetune_jobs (
+  id text primary key,                -- OpenAI fine-tuning job id
+  base_model text not null,
+  training_file_id text not null,
+  preference_file_id text,
+  row_count integer not null default 0,
+  example_count integer not null default 0,
+  status text not null,               -- OpenAI job status (validating_files, queued, running, succeeded, failed, cancelled)
+  error text,
+  fine_tuned_model text,
+  trigger text,
+  created_by text,
+  created_at timestamptz not null default now(),
+  finished_at timestamptz
+);
+
+-- Registry of models that can be used by generate-report.
+create table if not exists models (
+  id text primary key,                -- model name passed to OpenAI
+  base_model text,
+  job_id text references finetune_jobs (id),
+  status text not null default 'available' check (status in ('available', 'active', 'retired')),
+  created_at timestamptz not null default now(),
+  promoted_at timestamptz
+);
+
+-- The base model is always available to pin or roll back to.
+insert into models (id, status)
+values ('gpt-4o-2024-08-06', 'available')
+on conflict (id) do nothing;
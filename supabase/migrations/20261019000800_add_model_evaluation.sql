@@ -0,0 +1,10 @@
+-- Evaluation gate: new fine-tuned models are "candidate" until the comparison
+-- against the current model passes, then "active" (or "rejected").
+alter table finetune_jobs
+  add column if not exists evaluation_status text,   -- pending, running, passed, failed, error
+  add column if not exists evaluation jsonb;         -- comparison report from lib/evaluation.js
+
+alter table models drop constraint if exists models_status_check;
+alter table models
+  add constraint models_status_check
+  check (status in ('candidate', 'available', 'active', 'rejected', 'retired'));
@@ -0,0 +1,15 @@
+-- Fine-tune queue: a training_data row is "pending" until a job has been
+-- started with it. Rows stored while a job is running stay pending and are
+-- picked up by the next job (see lib/finetune.js).
+alter table training_data
+  add column if not exists finetune_job_id text references finetune_jobs (id) on delete set null;
+
+create index if not exists training_data_pending_idx
+  on training_data (created_at)
+  where finetune_job_id is null;
+
+-- Default automatic trigger: start a job once 5 new rows are pending.
+-- mode is one of rows, time or manual; edit it from the Model Registry panel.
+insert into app_settings (key, value)
+values ('finetune_trigger', '{"mode":"rows","rows":5,"hours":168}')
+on conflict (key) do nothing;
@@ -0,0 +1,11 @@
+-- Cached geocoding and weather results (see netlify/lib/weather/cache.js).
+-- cache_key is the normalized address for geocode rows, and
+-- "lat,lon|start|end" or "lat,lon|date|radius" for weather rows.
+create table if not exists weather_cache (
+  provider text not null,             -- visualcrossing, ...
+  kind text not null,                 -- geocode, hourly, storm-reports
+  cache_key text not null,
+  payload jsonb not null,
+  created_at timestamptz not null default now(),
+  primary key (provider, kind, cache_key)
+);
@@ -0,0 +1,5 @@
+-- Signature and PE seal images for the PDF export (see netlify/lib/profile.js).
+-- Stored as data URLs ("data:image/png;base64,..."), PNG or JPEG only.
+alter table users
+  add column if not exists signature_image text,
+  add column if not exists seal_image text;
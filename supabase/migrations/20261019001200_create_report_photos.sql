@@ -0,0 +1,24 @@
+-- Inspection photographs attached to a report (see netlify/lib/photos.js).
+-- Files live in the private "report-photos" storage bucket under <report_id>/;
+-- figure numbers follow upload order.
+insert into storage.buckets (id, name, public)
+values ('report-photos', 'report-photos', false)
+on conflict (id) do nothing;
+
+create table if not exists report_photos (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null,
+  storage_path text not null unique,
+  file_name text,
+  content_type text not null,
+  width integer,
+  height integer,
+  caption text not null default '',
+  elevation text,                     -- North, South, ... (building elevation shown)
+  roof_slope text,                    -- North, South, ... (roof slope shown)
+  affected_area text,                 -- Roof, Siding, Windows, ...
+  user_id uuid references users (id),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists report_photos_report_idx on report_photos (report_id, created_at);
@@ -0,0 +1,22 @@
+-- Engineer edits to a generated section before it was accepted: the model's
+-- output, the accepted text and their word diff (see netlify/lib/text-diff.js).
+-- Edits with prompts are exported by fine-tune.js as preference pairs
+-- (edited text preferred over the model's output).
+create table if not exists section_edits (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid not null,
+  section_id text not null,
+  system_prompt text,                 -- null for template sections (opening letter)
+  user_prompt text,
+  original_output text not null,
+  edited_output text not null,
+  diff jsonb not null,                -- [{ op: equal|insert|delete, text }]
+  words_added integer not null default 0,
+  words_removed integer not null default 0,
+  model text,
+  user_id uuid references users (id),
+  username text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists section_edits_section_idx on section_edits (section_id, created_at);
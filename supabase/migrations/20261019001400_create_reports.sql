@@ -0,0 +1,16 @@
+-- Report drafts autosaved from the browser: form inputs, generated sections,
+-- ratings and review state (see netlify/lib/reports.js). The id is the report
+-- id created in the browser, which photos, ratings and edits also carry.
+create table if not exists reports (
+  id uuid primary key,
+  user_id uuid not null references users (id),
+  project_name text,
+  stage text not null default 'intake' check (stage in ('intake', 'sections', 'final')),
+  sections_accepted integer not null default 0,
+  sections_total integer not null default 0,
+  draft jsonb not null default '{}'::jsonb,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists reports_user_idx on reports (user_id, updated_at desc);
@@ -0,0 +1,22 @@
+-- One row per generate-report call: which model wrote a section, with what
+-- prompt, settings and weather data (see netlify/lib/provenance.js).
+create table if not exists section_provenance (
+  id uuid primary key default gen_random_uuid(),
+  report_id uuid,
+  section_id text not null,
+  model text,                         -- null when no model was called (template-only opening letter)
+  temperature numeric,
+  prompt_hash text,                   -- sha256 of the system and user prompts
+  system_prompt text,
+  user_prompt text,
+  custom_instructions text,
+  weather jsonb,
+  prompt_tokens integer,
+  completion_tokens integer,
+  total_tokens integer,
+  user_id uuid references users (id),
+  username text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists section_provenance_report_idx on section_provenance (report_id, created_at);
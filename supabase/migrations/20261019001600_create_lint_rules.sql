@@ -0,0 +1,60 @@
+-- Phrasing rules applied to every generated section (see netlify/lib/lint-rules.js).
+-- Admins maintain them from the Lint Rules panel. A "block" finding must be
+-- fixed before the section can be accepted; a "warn" finding is only shown.
+create table if not exists lint_rules (
+  id uuid primary key default gen_random_uuid(),
+  name text not null,
+  pattern text not null,              -- JavaScript regular expression source
+  flags text not null default 'i',    -- any of i, m, s, u
+  message text not null,              -- shown to the engineer with the flagged text
+  correction text,                    -- instruction for regenerating the section
+  severity text not null default 'warn' check (severity in ('warn', 'block')),
+  sections text[],                    -- section ids the rule applies to; null for all
+  enabled boolean not null default true,
+  updated_by uuid references users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+-- The phrasing the prompts already ask the model to avoid
+insert into lint_rules (name, pattern, flags, message, correction, severity) values
+  (
+    'Bracketed placeholder',
+    '\[(e\.g\.|third party|insert|name|date|address|client|company)[^\]]*\]',
+    'i',
+    'Placeholder left in the text.',
+    'Replace bracketed placeholders such as "[e.g., ...]" or "[Third Party]" with facts from the inputs, or leave the statement out.',
+    'block'
+  ),
+  (
+    'N/A',
+    '\bN/A\b',
+    '',
+    '"N/A" printed in the text.',
+    'Do not write "N/A"; leave out anything that does not apply.',
+    'block'
+  ),
+  (
+    'TBD or filler text',
+    '\bTBD\b|lorem ipsum',
+    '',
+    'Unfinished text.',
+    'Do not write "TBD" or filler text; write only what the inputs support.',
+    'block'
+  ),
+  (
+    'Missing data statement',
+    '\b(no|not|lack of|absence of)\s+(weather\s+)?(data|information)\s+(was|is|were)?\s*(available|provided)|\bwas not (provided|specified|available)\b',
+    'i',
+    'States that data is missing.',
+    'Do not mention missing or unavailable data; write only about the data and inputs provided.',
+    'warn'
+  ),
+  (
+    'Third-person engineer',
+    '\b(the|this|our) (investigating |inspecting |undersigned )?engineer\b',
+    'i',
+    'Refers to "the engineer" in the third person.',
+    'Write in the first person plural ("we observed"); do not refer to "the engineer".',
+    'warn'
+  );
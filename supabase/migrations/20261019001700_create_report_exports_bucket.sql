@@ -0,0 +1,7 @@
+-- Exported DOCX and PDF reports (see netlify/lib/export/store.js). Files are
+-- too large to return from a function with their photos embedded, so they are
+-- stored under <user_id>/ and downloaded through a short-lived signed URL.
+-- Only each engineer's latest export is kept.
+insert into storage.buckets (id, name, public)
+values ('report-exports', 'report-exports', false)
+on conflict (id) do nothing;